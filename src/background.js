@@ -11,25 +11,313 @@
 // Initialization & Setup
 // ----------------------------------------------------------------------------------
 
+// Shared helpers (paths are relative to this file)
+importScripts('utils/settings.js', 'utils/audit-log.js', 'utils/sidebar-state.js');
+
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener(() => {
     console.log("Extension installed");
+    chrome.storage.local.remove(LEGACY_SIDEBAR_STATE_KEYS);
+    applySidebarMode();
+});
+
+// Tab ids do not survive a browser restart, so neither do the per-tab sidebar states
+chrome.runtime.onStartup.addListener(() => {
+    chrome.storage.local.remove([SIDEBAR_TAB_STATES_KEY].concat(LEGACY_SIDEBAR_STATE_KEYS));
+    applySidebarMode();
 });
 
+// Current settings, or the defaults when they cannot be loaded
+async function loadSettingsOrDefaults() {
+    try {
+        return await loadSettings();
+    } catch (error) {
+        console.error("Failed to load settings, using defaults:", error);
+        return {};
+    }
+}
+
+// Pending storage writes; read-modify-write updates run one after another so
+// concurrent tabs do not overwrite each other
+let storageWriteQueue = Promise.resolve();
+
+// Run a storage update after the pending ones
+function queueStorageWrite(task) {
+    const run = storageWriteQueue.then(task);
+    storageWriteQueue = run.catch((error) => console.error("Storage update failed:", error));
+    return run;
+}
+
+// ----------------------------------------------------------------------------------
+// Content Script Activation
+// ----------------------------------------------------------------------------------
+
+// Activate the extension on a tab the user clicked "Activate" for in the popup
+// (activeTab + scripting). The content scripts decide on their own whether to
+// activate on page load; this re-runs that decision with the click taken into account,
+// and injects the scripts when the tab was opened before the extension was loaded.
+async function activateExtensionOnTab(tabId) {
+    const [injection] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => {
+            window.codelutionActivatedByClick = true;
+            if (typeof initializeExtension !== 'function') return false;
+            initializeExtension();
+            return true;
+        }
+    });
+
+    if (!injection || !injection.result) {
+        const files = chrome.runtime.getManifest().content_scripts[0].js;
+        await chrome.scripting.executeScript({ target: { tabId }, files });
+    }
+}
+
+// ----------------------------------------------------------------------------------
+// Side Panel
+// ----------------------------------------------------------------------------------
+
+// Offer Chrome's side panel only when the app is set to be shown there (sidebar.mode),
+// so it never runs next to the sidebar injected into the page
+async function applySidebarMode() {
+    const settings = await loadSettingsOrDefaults();
+    const enabled = getSettingValue(settings, 'sidebar.mode') === 'sidePanel';
+    try {
+        await chrome.sidePanel.setOptions({ enabled });
+    } catch (error) {
+        console.error("Failed to update the side panel:", error);
+    }
+}
+
+// Follow sidebar.mode when the options page saves new settings
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+        applySidebarMode();
+    }
+});
+
+// ----------------------------------------------------------------------------------
+// Audit Log
+// ----------------------------------------------------------------------------------
+
+// Store an audit entry from a content script with the configured retention
+function recordAuditEntry(entry) {
+    return queueStorageWrite(async () => {
+        const settings = await loadSettingsOrDefaults();
+        await appendAuditEntries([entry], {
+            maxEntries: getSettingValue(settings, 'audit.maxEntries'),
+            retentionDays: getSettingValue(settings, 'audit.retentionDays')
+        });
+    });
+}
+
+// ----------------------------------------------------------------------------------
+// Per-Tab Sidebar State
+// ----------------------------------------------------------------------------------
+
+// Origin of a URL, or null
+function getOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Minutes within which a sidebar that was open is reopened (behavior.autoRestoreTimeMinutes)
+function getAutoRestoreMinutes(settings) {
+    const minutes = getSettingValue(settings, 'behavior.autoRestoreTimeMinutes');
+    return typeof minutes === 'number' ? minutes : 5;
+}
+
+// Sidebar state of a tab; with behavior.restorePerOrigin, tabs without their own state
+// get the last state of their origin
+async function getSidebarStateForTab(tabId, url) {
+    const settings = await loadSettingsOrDefaults();
+    const origin = getSettingValue(settings, 'behavior.restorePerOrigin') === true ? getOrigin(url) : null;
+    return loadSidebarState(tabId, origin);
+}
+
+// ----------------------------------------------------------------------------------
+// Macro Replays
+// ----------------------------------------------------------------------------------
+
+// chrome.storage.session key holding the replay each tab is in the middle of, so it can
+// continue after a page load (see src/content/macros.js). Session storage is out of
+// reach of content scripts and pages, and cleared when the browser closes.
+const MACRO_REPLAYS_KEY = 'macroReplays';
+
+// Remember where the replay of a tab is
+async function saveMacroReplay(tabId, replay) {
+    const result = await chrome.storage.session.get(MACRO_REPLAYS_KEY);
+    const replays = result[MACRO_REPLAYS_KEY] || {};
+    replays[tabId] = replay;
+    await chrome.storage.session.set({ [MACRO_REPLAYS_KEY]: replays });
+}
+
+// Remove the replay of a tab and return it when it was saved on `origin`; replays only
+// continue on the same origin
+async function takeMacroReplay(tabId, origin) {
+    const result = await chrome.storage.session.get(MACRO_REPLAYS_KEY);
+    const replays = result[MACRO_REPLAYS_KEY] || {};
+    const replay = replays[tabId];
+    if (!replay) return null;
+    delete replays[tabId];
+    await chrome.storage.session.set({ [MACRO_REPLAYS_KEY]: replays });
+    return replay.origin === origin ? replay : null;
+}
+
+// ----------------------------------------------------------------------------------
+// Tab Routing
+// ----------------------------------------------------------------------------------
+
+// Summary of a tab for sidebar apps
+function describeTab(tab) {
+    return {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        url: tab.url || null,
+        title: tab.title || '',
+        active: tab.active,
+        status: tab.status || null
+    };
+}
+
+// Open tabs; with `currentWindow`, only those of the sender's (or the focused) window
+async function listTabs(currentWindow, sender) {
+    let query = {};
+    if (currentWindow) {
+        query = sender.tab ? { windowId: sender.tab.windowId } : { lastFocusedWindow: true };
+    }
+    const tabs = await chrome.tabs.query(query);
+    return tabs.map(describeTab);
+}
+
+// Forward an iframe command to the content script of another tab; resolves with the
+// target's { ok, data } or { ok: false, error } reply
+function routeCommandToTab(tabId, request, fromTabId) {
+    return new Promise((resolve) => {
+        chrome.tabs.sendMessage(tabId, {
+            action: "routedCommand",
+            command: request.command,
+            profileId: request.profileId,
+            fromTabId: fromTabId
+        }, { frameId: 0 }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                resolve({
+                    ok: false,
+                    error: { code: "TAB_NOT_AVAILABLE", message: `The extension is not active in tab ${tabId}` }
+                });
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
 // ----------------------------------------------------------------------------------
 // Message Handling
 // ----------------------------------------------------------------------------------
 
 // Process messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // Screenshot capture
+    // Screenshot capture of the visible part of the sender's tab (stitching and
+    // cropping happen in the content script, see src/content/screenshot.js)
     if (request.action === "captureScreenshot") {
-        chrome.tabs.captureVisibleTab(null, {}, (image) => {
+        const windowId = sender.tab ? sender.tab.windowId : null;
+        const options = { format: request.format === "jpeg" ? "jpeg" : "png" };
+        if (options.format === "jpeg" && typeof request.quality === "number") {
+            options.quality = request.quality;
+        }
+        chrome.tabs.captureVisibleTab(windowId, options, (image) => {
+            if (chrome.runtime.lastError || !image) {
+                const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : "No image captured";
+                sendResponse({ image: null, error: error });
+                return;
+            }
             sendResponse({ image: image });
         });
         return true; // Required for async response
     }
 
+    // Audit log entry from a content script, tagged with the sender's tab
+    if (request.action === "recordAudit" && request.entry) {
+        const entry = Object.assign({}, request.entry, { tabId: sender.tab ? sender.tab.id : null });
+        recordAuditEntry(entry)
+            .then(() => sendResponse({ ok: true }))
+            .catch(() => sendResponse({ ok: false }));
+        return true; // Required for async response
+    }
+
+    // Sidebar state of the sender's tab
+    if (request.action === "saveSidebarState" && sender.tab) {
+        const state = Object.assign({}, request.state, { origin: getOrigin(sender.tab.url) });
+        queueStorageWrite(() => saveSidebarTabState(sender.tab.id, state))
+            .then((stored) => sendResponse({ state: stored }))
+            .catch(() => sendResponse({ state: null }));
+        return true; // Required for async response
+    }
+    if (request.action === "getSidebarState" && sender.tab) {
+        getSidebarStateForTab(sender.tab.id, sender.tab.url)
+            .then((state) => sendResponse({ state }))
+            .catch(() => sendResponse({ state: null }));
+        return true; // Required for async response
+    }
+
+    // Replay state of the sender's tab (see src/content/macros.js)
+    if (request.action === "saveMacroReplay" && sender.tab && request.replay) {
+        const replay = Object.assign({}, request.replay, { origin: getOrigin(sender.tab.url) });
+        queueStorageWrite(() => saveMacroReplay(sender.tab.id, replay))
+            .then(() => sendResponse({ ok: true }))
+            .catch(() => sendResponse({ ok: false }));
+        return true; // Required for async response
+    }
+    if (request.action === "takeMacroReplay" && sender.tab) {
+        queueStorageWrite(() => takeMacroReplay(sender.tab.id, getOrigin(sender.tab.url)))
+            .then((replay) => sendResponse({ replay }))
+            .catch(() => sendResponse({ replay: null }));
+        return true; // Required for async response
+    }
+
+    // Tab routing: the sender's own tab id, the open tabs, and commands or events for
+    // another tab
+    if (request.action === "getTabId") {
+        sendResponse({ tabId: sender.tab ? sender.tab.id : null });
+        return;
+    }
+    if (request.action === "listTabs") {
+        listTabs(request.currentWindow === true, sender)
+            .then((tabs) => sendResponse({ ok: true, data: tabs }))
+            .catch((error) => sendResponse({ ok: false, error: { code: "INTERNAL_ERROR", message: error.message } }));
+        return true; // Required for async response
+    }
+    if (request.action === "routeCommand" && sender.tab && typeof request.tabId === "number") {
+        routeCommandToTab(request.tabId, request, sender.tab.id).then(sendResponse);
+        return true; // Required for async response
+    }
+    if (request.action === "routeEvent" && sender.tab && typeof request.tabId === "number") {
+        chrome.tabs.sendMessage(request.tabId, { action: "routedEvent", event: request.event }, { frameId: 0 },
+            () => void chrome.runtime.lastError);
+        return;
+    }
+
+    // Side panel opened from the page's toggle button. Chrome only opens it during the
+    // click that sent this message, so it must be called right away.
+    if (request.action === "openSidePanel" && sender.tab) {
+        chrome.sidePanel.open({ tabId: sender.tab.id })
+            .then(() => sendResponse({ ok: true }))
+            .catch((error) => sendResponse({ ok: false, error: error.message }));
+        return true; // Required for async response
+    }
+
+    // Activation from the popup in "only on click" mode
+    if (request.action === "activateTab") {
+        activateExtensionOnTab(request.tabId)
+            .then(() => sendResponse({ ok: true }))
+            .catch((error) => sendResponse({ ok: false, error: error.message }));
+        return true; // Required for async response
+    }
+
     // Content overwrite
     if (request.action === "overwriteText") {
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -86,28 +374,21 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (changeInfo.status === 'complete') {
         console.log("background.js: Page loaded, checking sidebar state for:", tab.url);
         
-        // Give content script time to initialize, then check sidebar state
-        setTimeout(() => {
-            chrome.storage.local.get(['sidebarOpen', 'lastStateChange'], (result) => {
-                // Only restore if sidebar was open AND it was recently changed (within last 5 minutes)
-                const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-                const wasRecentlyChanged = result.lastStateChange && result.lastStateChange > fiveMinutesAgo;
-                
-                if (result.sidebarOpen === true && wasRecentlyChanged) {
-                    console.log("background.js: Attempting to restore sidebar state");
-                    // Send message to content script to restore sidebar if needed
-                    chrome.tabs.sendMessage(tabId, { 
-                        action: "checkSidebarState" 
-                    }).catch(() => {
-                        // Ignore errors if content script not ready yet
-                        console.log("Content script not ready yet, sidebar will auto-restore");
-                    });
-                } else if (result.sidebarOpen === true && !wasRecentlyChanged) {
-                    console.log("background.js: Sidebar state is old, resetting to closed");
-                    // Reset old state
-                    chrome.storage.local.set({ sidebarOpen: false });
-                }
-            });
+        // Give content script time to initialize, then check this tab's sidebar state
+        setTimeout(async () => {
+            const settings = await loadSettingsOrDefaults();
+            const state = await getSidebarStateForTab(tabId, tab.url);
+            // Only restore if the sidebar was open in this tab AND that was recent enough
+            if (state && state.open === true && isRecentSidebarState(state, getAutoRestoreMinutes(settings))) {
+                console.log("background.js: Attempting to restore sidebar state");
+                // Send message to content script to restore sidebar if needed
+                chrome.tabs.sendMessage(tabId, { 
+                    action: "checkSidebarState" 
+                }).catch(() => {
+                    // Ignore errors if content script not ready yet
+                    console.log("Content script not ready yet, sidebar will auto-restore");
+                });
+            }
         }, 500);
     }
     
@@ -123,6 +404,12 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     }
 });
 
+// Forget the sidebar state and macro replay of closed tabs
+chrome.tabs.onRemoved.addListener((tabId) => {
+    queueStorageWrite(() => removeSidebarTabState(tabId));
+    queueStorageWrite(() => takeMacroReplay(tabId, null));
+});
+
 // Listen for tab activation (when user switches tabs)
 chrome.tabs.onActivated.addListener(activeInfo => {
     chrome.tabs.get(activeInfo.tabId, (tab) => {
@@ -8,7 +8,7 @@
 // Security Configuration
 // ----------------------------------------------------------------------------------
 
-// Get the trusted origin from the configured iframe source
+// Get the trusted origin from the iframe source of the active app profile
 function getTrustedOrigin() {
     const iframeSrc = getConfig('sidebar.iframeSrc');
     try {
@@ -25,12 +25,22 @@ function getTrustedOrigin() {
 
 let extensionConfig = null;
 
-// Load configuration from settings.json
+// App profile loaded on this page and all profiles for the header switcher
+// (see src/utils/profiles.js)
+let activeProfile = null;
+let availableProfiles = [];
+
+// Profile this tab showed before it was reloaded; it wins over the site's profile until
+// the profiles or the site's choice change (see restoreTabProfile)
+let tabProfileId = null;
+
+// Load configuration from settings.json, with the options page overrides applied
+// (see src/utils/settings.js)
 async function loadExtensionConfig() {
     try {
         const configUrl = chrome.runtime.getURL('config/settings.json');
         const response = await fetch(configUrl);
-        extensionConfig = await response.json();
+        extensionConfig = await applyActiveProfile(mergeSettings(await response.json(), await loadSettingsOverrides()));
         return extensionConfig;
     } catch (error) {
         console.error('Failed to load extension config, using defaults:', error);
@@ -40,7 +50,8 @@ async function loadExtensionConfig() {
                 title: "Codelution Assistant",
                 iframeSrc: "https://add-functions-codelution_chrome_extension.toddle.site/",
                 defaultWidth: "400px",
-                mobileWidthPercent: 85
+                mobileWidthPercent: 85,
+                mode: "overlay"
             },
             styling: {
                 primaryColor: "#1976d2",
@@ -49,6 +60,7 @@ async function loadExtensionConfig() {
                 textColor: "#333",
                 shadowColor: "rgba(0,0,0,0.25)"
             },
+            permissions: ["readDom", "writeDom", "injectScripts", "screenshots", "automation"],
             button: {
                 tooltip: "Open Codelution Assistant",
                 size: {
@@ -62,16 +74,37 @@ async function loadExtensionConfig() {
             },
             behavior: {
                 autoRestoreTimeMinutes: 5,
+                restorePerOrigin: false,
                 enableResize: true,
                 enableMobileOptimization: true,
                 minWidth: 250,
                 maxWidthPercent: 90
+            },
+            audit: {
+                maxEntries: 2000,
+                retentionDays: 30
             }
         };
+        extensionConfig = await applyActiveProfile(mergeSettings(extensionConfig, await loadSettingsOverrides()));
         return extensionConfig;
     }
 }
 
+// Pick the app profile for this page and apply its app URL, title and styling
+async function applyActiveProfile(settings) {
+    try {
+        const profiles = await loadProfiles();
+        const choiceId = tabProfileId || await getSiteProfileChoice(window.location.hostname);
+        availableProfiles = listProfiles(settings, profiles);
+        activeProfile = resolveProfile(settings, profiles, window.location.href, choiceId);
+    } catch (error) {
+        console.error('Failed to load app profiles, using the default app:', error);
+        activeProfile = getDefaultProfile(settings);
+        availableProfiles = [activeProfile];
+    }
+    return applyProfileToSettings(settings, activeProfile);
+}
+
 // Get configuration value with fallback
 function getConfig(path, fallback = null) {
     if (!extensionConfig) return fallback;
@@ -91,71 +124,603 @@ function getConfig(path, fallback = null) {
 }
 
 // ----------------------------------------------------------------------------------
-// Message Handling & Communication
+// Command Dispatcher
 // ----------------------------------------------------------------------------------
 
-// Bridge: Capture window.postMessage and forward as chrome.runtime message
-window.addEventListener('message', function(event) {
-    // Security: Only process messages from trusted origins
-    if (!event.data || typeof event.data !== 'object') return;
-    
-    // Check if the origin matches our configured iframe origin
-    const trustedOrigin = getTrustedOrigin();
-    if (event.origin !== trustedOrigin) {
-        // Silently reject untrusted messages in production
-        return;
+// The command registry, error codes and reply shape are shared with the side panel
+// page (see src/utils/protocol.js)
+
+// Default time a command may take before it is answered with a TIMEOUT error
+const DEFAULT_COMMAND_TIMEOUT = 10000;
+
+// Reject with a TIMEOUT error if the promise does not settle in time
+function runWithTimeout(promise, timeout, label) {
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(createCommandError(COMMAND_ERRORS.TIMEOUT, `${label} timed out after ${timeout}ms`));
+        }, timeout);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+// Run the registered handler for a message and resolve with its result
+function dispatchCommand(message) {
+    const handler = commandHandlers[message.type];
+    if (!handler) {
+        return Promise.reject(createCommandError(COMMAND_ERRORS.UNKNOWN_COMMAND, `Unknown command: ${message.type}`));
     }
-    
-    // Check message types from Toddle/Nordcraft
-    const type = event.data.type;
-    
-    if (type === 'injectWebComponent') {
-        // Process directly in content.js
-        const request = {
-            type: 'manipulateDom',
-            action: 'injectWebComponent',
-            selector: event.data.selector,
-            src: event.data.src,
-            name: event.data.name,
-            placement: event.data.placement
-        };
-        
-        // Handle directly without chrome.runtime
-        injectWebComponent(request);
-    } else if (type === 'manipulate-dom') {
-        // DOM manipulation
-        const { selector, action, value } = event.data;
-        handleDomManipulation(selector, action, value);
-    } else if (type === 'start-dom-observer' || type === 'observe-dom-value') {
-        // DOM observer
-        const { selector, attribute, eventType, watchId } = event.data;
-        handleDomObserver(selector, attribute, eventType, watchId);
-    } else if (type === 'get-dom-info') {
-        // Get DOM info
-        const { selector, attribute, requestId } = event.data;
-        handleGetDomInfo(selector, attribute, requestId);
-    } else if (type === 'get-tab-info') {
-        // Send tab info to iframe
-        const iframe = document.getElementById('sidebar-container-nordcraft');
-        if (iframe && iframe.contentWindow) {
-            const trustedOrigin = getTrustedOrigin();
-            iframe.contentWindow.postMessage({
-                type: 'tab-info',
-                data: {
-                    url: window.location.href,
-                    title: document.title,
-                    tabId: 'tab-' + Date.now() // Generate an id for this tab
-                }
-            }, trustedOrigin);
+
+    try {
+        validateCommandPayload(message);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    let timeout = typeof message.timeout === 'number' && message.timeout > 0
+        ? message.timeout
+        : (commandTimeouts[message.type] || DEFAULT_COMMAND_TIMEOUT);
+
+    // The permission check (which may wait on a consent prompt) runs before the timeout starts
+    return ensureCapabilities(getCommandCapabilities(message)).then(() => {
+        // Any command (except wait-for itself) can carry a `waitFor` precondition
+        let result;
+        if (message.waitFor && message.type !== 'wait-for') {
+            const waitSpec = Object.assign({}, message.waitFor, { timeout: getWaitTimeout(message.waitFor.timeout) });
+            timeout += waitSpec.timeout;
+            result = waitFor(waitSpec).then(() => handler(message));
+        } else {
+            result = new Promise((resolve) => resolve(handler(message)));
+        }
+        return runWithTimeout(result, timeout, message.type);
+    });
+}
+
+// Post a message to the sidebar iframe, restricted to the trusted origin. Messages are
+// tagged with this tab's id unless they carry the id of the tab they came from.
+// In side panel mode they go to the app in the side panel instead.
+function postToIframe(message) {
+    const tagged = Object.assign({ tabId: currentTabId }, message);
+    const iframe = document.getElementById('sidebar-container-nordcraft');
+    if (iframe && iframe.contentWindow && !sidebarConnection.loadedAt) {
+        // Still loading (e.g. restored after a page load): send once the app is there
+        if (pendingIframeMessages.length < MAX_PENDING_IFRAME_MESSAGES) pendingIframeMessages.push(tagged);
+    } else if (iframe && iframe.contentWindow) {
+        iframe.contentWindow.postMessage(tagged, getTrustedOrigin());
+    } else if (isSidePanelMode()) {
+        postToSidePanel(tagged);
+    }
+}
+
+// Send the typed success/error reply for a command back to the iframe
+function postCommandReply(message, data, error) {
+    const tabId = isRoutedToOtherTab(message) ? message.tabId : currentTabId;
+    postToIframe(createCommandReply(message, tabId, data, error));
+}
+
+// ----------------------------------------------------------------------------------
+// Tab Identity & Routing
+// ----------------------------------------------------------------------------------
+
+// This tab's chrome.tabs id, from the background script (null until it is known)
+let currentTabId = null;
+
+// Ask the background script for this tab's id
+function loadTabId() {
+    return new Promise((resolve) => {
+        try {
+            chrome.runtime.sendMessage({ action: 'getTabId' }, (response) => {
+                resolve(chrome.runtime.lastError || !response ? null : response.tabId);
+            });
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+// Whether an iframe command targets another tab with its `tabId`
+function isRoutedToOtherTab(message) {
+    return typeof message.tabId === 'number' && currentTabId !== null && message.tabId !== currentTabId;
+}
+
+// Send a message to the background script and resolve with its reply, rejecting
+// with TAB_NOT_AVAILABLE when it cannot be reached
+function sendToBackground(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                reject(createCommandError(COMMAND_ERRORS.TAB_NOT_AVAILABLE, 'The extension background is not available'));
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+// Run a command in another tab through the background router. The tab must show the
+// same app profile; its own permissions and consent apply.
+async function dispatchToTab(message) {
+    const command = Object.assign({}, message);
+    delete command.tabId;
+    const response = await sendToBackground({
+        action: 'routeCommand',
+        tabId: message.tabId,
+        profileId: activeProfile ? activeProfile.id : null,
+        command
+    });
+    if (!response.ok) {
+        const error = createCommandError(response.error.code, response.error.message);
+        if (response.error.details) error.details = response.error.details;
+        throw error;
+    }
+    return response.data;
+}
+
+// Run a command routed from the sidebar app of another tab; resolves with the
+// { ok, data } or { ok: false, error } reply sent back to that tab. Refused while the
+// extension is disabled on this site or another profile is active.
+function handleRoutedCommand(request) {
+    const message = Object.assign({}, request.command, { routedFromTabId: request.fromTabId });
+    const capabilities = commandHandlers[message.type] ? getCommandCapabilities(message) : [];
+    let result;
+    if (!siteEnabled) {
+        result = Promise.reject(createSiteDisabledError());
+    } else if (!activeProfile || activeProfile.id !== request.profileId) {
+        const error = createCommandError(COMMAND_ERRORS.PERMISSION_DENIED, 'Another app profile is active in this tab');
+        error.details = { reason: 'other-profile', profileId: activeProfile ? activeProfile.id : null };
+        result = Promise.reject(error);
+    } else {
+        result = dispatchCommand(message);
+    }
+    return result.then(data => {
+        auditCommand(message, capabilities, 'routed', data, null);
+        return { ok: true, data: data === undefined ? null : data };
+    }, error => {
+        auditCommand(message, capabilities, 'routed', null, error);
+        return { ok: false, error: serializeCommandError(error) };
+    });
+}
+
+// Where a command's events go: this tab's iframe, or the tab that routed the command here
+function getEventSink(message) {
+    if (typeof message.routedFromTabId !== 'number') return postToIframe;
+    return (event) => {
+        chrome.runtime.sendMessage({
+            action: 'routeEvent',
+            tabId: message.routedFromTabId,
+            event: Object.assign({ tabId: currentTabId }, event)
+        }, () => void chrome.runtime.lastError);
+    };
+}
+
+// ----------------------------------------------------------------------------------
+// Side Panel Bridge
+// ----------------------------------------------------------------------------------
+
+// Whether the app is shown in Chrome's side panel instead of the injected sidebar
+// (sidebar.mode, see src/sidebar/sidebar.js)
+function isSidePanelMode() {
+    return getConfig('sidebar.mode', 'overlay') === 'sidePanel';
+}
+
+// Send an event to the app in the side panel, which relays it to its iframe. Every side
+// panel receives it, so it names this tab; panels showing another tab drop it.
+function postToSidePanel(event) {
+    try {
+        chrome.runtime.sendMessage({ action: 'panelEvent', tabId: currentTabId, event }, () => void chrome.runtime.lastError);
+    } catch (e) {
+        // Extension reloaded: the page can no longer reach the side panel
+    }
+}
+
+// Run a command the app in the side panel posted, as if it came from the injected
+// iframe; resolves with the { ok, data } or { ok: false, error } reply. The app must
+// be the one of this tab's profile, and the extension enabled on this site.
+function handlePanelCommand(request) {
+    const message = Object.assign({}, request.command);
+    delete message.routedFromTabId;
+
+    // Unknown types without a requestId are not addressed to us (see handleIframeMessage)
+    if (!commandHandlers[message.type] && message.requestId === undefined) {
+        return Promise.resolve({ ignored: true });
+    }
+
+    const capabilities = commandHandlers[message.type] ? getCommandCapabilities(message) : [];
+    let result;
+    if (!siteEnabled) {
+        result = Promise.reject(createSiteDisabledError());
+    } else if (request.origin !== getTrustedOrigin()) {
+        const error = createCommandError(COMMAND_ERRORS.PERMISSION_DENIED, 'Another app profile is active in this tab');
+        error.details = { reason: 'other-profile', profileId: activeProfile ? activeProfile.id : null };
+        result = Promise.reject(error);
+    } else {
+        sidebarConnection.lastMessageAt = Date.now();
+        result = dispatchCommand(message);
+    }
+    return result.then(data => {
+        auditCommand(message, capabilities, 'sidebar', data, null);
+        return { ok: true, data: data === undefined ? null : data };
+    }, error => {
+        auditCommand(message, capabilities, 'sidebar', null, error);
+        return { ok: false, error: serializeCommandError(error) };
+    });
+}
+
+// Open tabs for the list-tabs command, marking this one
+async function handleListTabs(message) {
+    const response = await sendToBackground({ action: 'listTabs', currentWindow: message.currentWindow === true });
+    if (!response.ok) {
+        throw createCommandError(response.error.code, response.error.message);
+    }
+    return response.data.map(tab => Object.assign(tab, { current: tab.tabId === currentTabId }));
+}
+
+// ----------------------------------------------------------------------------------
+// Selector Resolution
+// ----------------------------------------------------------------------------------
+
+// Piercing combinator: "host-selector >>> inner-selector" continues the query inside
+// the open shadow root of each host, or inside the document of a same-origin iframe
+const PIERCING_COMBINATOR = '>>>';
+
+// Split a selector into the segments separated by shadow root / iframe boundaries.
+// Accepts a string using >>> or an array of selector strings (a selector path).
+function parseSelectorPath(selector) {
+    const parts = Array.isArray(selector) ? selector : [selector];
+    const segments = [];
+
+    parts.forEach(part => {
+        if (typeof part !== 'string') {
+            throw createCommandError(COMMAND_ERRORS.INVALID_SELECTOR, 'Selector path entries must be strings');
+        }
+        part.split(PIERCING_COMBINATOR).forEach(segment => segments.push(segment.trim()));
+    });
+
+    if (segments.length === 0 || segments.some(segment => !segment)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_SELECTOR, 'A non-empty selector is required');
+    }
+    return segments;
+}
+
+// Get the scope to continue a piercing query in: an open shadow root or a
+// same-origin iframe document. Returns null for anything that cannot be entered.
+function getPiercedScope(el) {
+    if (el.shadowRoot) return el.shadowRoot;
+
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        try {
+            // Cross-origin frames return null (or throw in some browsers)
+            return el.contentDocument || null;
+        } catch (e) {
+            return null;
         }
     }
+    return null;
+}
+
+// Describe a selector (string or path array) for error messages
+function describeSelector(selector) {
+    return Array.isArray(selector) ? selector.join(` ${PIERCING_COMBINATOR} `) : selector;
+}
+
+// Find a single element, turning selector syntax errors into INVALID_SELECTOR
+function queryElement(selector) {
+    return queryElements(selector)[0];
+}
+
+// Find the elements a command targets. By default only the first match is returned;
+// `index` picks another match (negative counts from the end) and `all` returns every
+// match starting at `index`, at most `limit` of them. `root` limits the search to
+// a subtree. Selectors may pierce shadow roots and same-origin iframes (see
+// parseSelectorPath). Throws if nothing matches.
+function queryElements(selector, options = {}) {
+    const segments = parseSelectorPath(selector);
+
+    let scopes = [options.root || document];
+    let matches = [];
+    segments.forEach((segment, position) => {
+        matches = [];
+        scopes.forEach(scope => {
+            try {
+                matches.push(...scope.querySelectorAll(segment));
+            } catch (e) {
+                throw createCommandError(COMMAND_ERRORS.INVALID_SELECTOR, `Invalid selector: ${segment}`);
+            }
+        });
+
+        if (position < segments.length - 1) {
+            scopes = matches.map(getPiercedScope).filter(Boolean);
+        }
+    });
+
+    let index = Number.isInteger(options.index) ? options.index : 0;
+    if (index < 0) index = Math.max(0, matches.length + index);
+
+    let elements;
+    if (options.all) {
+        const end = Number.isInteger(options.limit) && options.limit > 0 ? index + options.limit : undefined;
+        elements = matches.slice(index, end);
+    } else {
+        elements = matches[index] ? [matches[index]] : [];
+    }
+
+    if (elements.length === 0) {
+        throw createCommandError(COMMAND_ERRORS.ELEMENT_NOT_FOUND, `No element matches selector: ${describeSelector(selector)}`);
+    }
+    return elements;
+}
+
+// Pick the multi-element targeting options (all, index, limit) from a message
+function getTargetOptions(message) {
+    return {
+        all: message.all === true,
+        index: message.index,
+        limit: message.limit
+    };
+}
+
+// Target options plus `trusted`, which inserts HTML without sanitizing it
+function getDomActionOptions(message) {
+    return Object.assign(getTargetOptions(message), { trusted: message.trusted === true });
+}
+
+// Payload fields of commands targeting several elements (see getTargetOptions)
+const TARGET_FIELDS = {
+    all: { type: 'boolean' },
+    index: { type: 'integer' },
+    limit: { type: 'integer' }
+};
+
+// Payload fields of start-dom-observer and observe-dom-value
+const OBSERVER_SCHEMA = Object.assign({
+    selector: { type: 'selector', required: true },
+    attribute: { type: 'string' },
+    eventType: { type: 'string' },
+    watch: { type: 'any' },
+    subtree: { type: 'boolean' },
+    debounce: { type: 'number' },
+    throttle: { type: 'number' },
+    watchId: { type: 'id' },
+    stopOnNavigation: { type: 'boolean' }
+}, TARGET_FIELDS);
+
+// Commands the Nordcraft iframe can send through the postMessage bridge
+registerCommand('hello', (message) => handleHello(message), {
+    // Apps may always ask what the extension supports and whether it is there
+    capability: [],
+    schema: { protocolVersion: { type: 'integer' } }
+});
+registerCommand('ping', () => handlePing(), { capability: [] });
+registerCommand('manipulate-dom', (message) => {
+    return handleDomManipulation(message.selector, message.action, message.value, getDomActionOptions(message));
+}, {
+    capability: (message) => getDomActionCapability(message.action, message.trusted === true),
+    schema: Object.assign({
+        selector: { type: 'selector', required: true },
+        action: { type: 'string', required: true },
+        value: { type: 'any' },
+        trusted: { type: 'boolean' }
+    }, TARGET_FIELDS)
+});
+registerCommand('manipulate-dom-batch', (message) => {
+    return handleDomBatch(message.operations, message.transactional !== false);
+}, {
+    capability: (message) => getDomBatchCapabilities(message.operations),
+    schema: { operations: { type: 'array', required: true }, transactional: { type: 'boolean' } }
+});
+registerCommand('undo-dom-changes', (message) => undoDomChangeSet(message.changeId), {
+    capability: 'writeDom',
+    schema: { changeId: { type: 'id', required: true } }
+});
+registerCommand('revert-all-dom-changes', () => revertAllDomChanges(), { capability: 'writeDom' });
+registerCommand('list-dom-changes', () => listDomChangeSets());
+registerCommand('injectWebComponent', (message) => injectWebComponent(message), {
+    capability: 'injectScripts',
+    schema: {
+        src: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        selector: { type: 'selector' },
+        placement: { type: 'string', values: ['append', 'prepend', 'replace'] }
+    }
+});
+registerCommand('start-dom-observer', (message) => handleDomObserver(message), { schema: OBSERVER_SCHEMA });
+registerCommand('observe-dom-value', commandHandlers['start-dom-observer'], { schema: OBSERVER_SCHEMA });
+registerCommand('stop-dom-observer', (message) => {
+    return message.all === true ? stopAllDomObservers() : stopDomObserver(message.watchId);
+}, { schema: { watchId: { type: 'id' }, all: { type: 'boolean' } } });
+registerCommand('pause-dom-observer', (message) => pauseDomObserver(message.watchId), {
+    schema: { watchId: { type: 'id', required: true } }
+});
+registerCommand('resume-dom-observer', (message) => resumeDomObserver(message.watchId), {
+    schema: { watchId: { type: 'id', required: true } }
+});
+registerCommand('list-dom-observers', () => listDomObservers());
+registerCommand('get-dom-info', (message) => {
+    return handleGetDomInfo(message.selector, message.attribute, message.requestId, getTargetOptions(message));
+}, {
+    schema: Object.assign({ selector: { type: 'selector', required: true }, attribute: { type: 'string' } }, TARGET_FIELDS)
+});
+registerCommand('get-tab-info', () => handleGetTabInfo());
+registerCommand('list-tabs', (message) => handleListTabs(message), {
+    // The URLs and titles of every open tab reach well beyond the page the app runs on
+    capability: 'automation',
+    schema: { currentWindow: { type: 'boolean' } }
+});
+registerCommand('wait-for', (message) => waitFor(message), {
+    schema: Object.assign({
+        condition: { type: 'string' },
+        selector: { type: 'selector' },
+        text: { type: 'any' },
+        idleTime: { type: 'number' }
+    }, TARGET_FIELDS)
+});
+registerCommand('start-macro-recording', (message) => startMacroRecording(message.name), {
+    capability: 'automation',
+    schema: { name: { type: 'string' } }
+});
+registerCommand('stop-macro-recording', (message) => stopMacroRecording(message.save !== false, message.name), {
+    capability: 'automation',
+    schema: { save: { type: 'boolean' }, name: { type: 'string' } }
+});
+registerCommand('get-macro-recording', () => getMacroRecording(), { capability: 'automation' });
+registerCommand('save-macro', (message) => saveMacro(message.macro), {
+    capability: 'automation',
+    schema: { macro: { type: 'object', required: true } }
+});
+registerCommand('list-macros', () => listMacros(), { capability: 'automation' });
+registerCommand('delete-macro', (message) => deleteMacro(message.macroId), {
+    capability: 'automation',
+    schema: { macroId: { type: 'id', required: true } }
+});
+registerCommand('play-macro', (message) => handlePlayMacro(message), {
+    capability: 'automation',
+    schema: {
+        macroId: { type: 'id' },
+        macro: { type: 'object' },
+        inputs: { type: 'any' },
+        stepTimeout: { type: 'number' },
+        retries: { type: 'integer' },
+        retryDelay: { type: 'number' },
+        startAt: { type: 'integer' }
+    }
+});
+registerCommand('cancel-macro', (message) => cancelMacroRun(message.runId), {
+    capability: 'automation',
+    schema: { runId: { type: 'id', required: true } }
+});
+registerCommand('extract-page', (message) => handleExtractPage(message), {
+    schema: { sections: { type: 'array' }, selector: { type: 'selector' }, limit: { type: 'integer' } }
+});
+registerCommand('run-recipe', (message) => handleRunRecipe(message), {
+    schema: { recipe: { type: 'object' }, recipeId: { type: 'id' } }
+});
+registerCommand('save-recipe', (message) => saveRecipe(message.recipe), {
+    schema: { recipe: { type: 'object', required: true } }
+});
+registerCommand('list-recipes', (message) => listRecipes(message.onlyMatching === true), {
+    schema: { onlyMatching: { type: 'boolean' } }
+});
+registerCommand('delete-recipe', (message) => deleteRecipe(message.recipeId), {
+    schema: { recipeId: { type: 'id', required: true } }
+});
+registerCommand('start-element-picker', (message) => {
+    return startElementPicker(typeof message.timeout === 'number' && message.timeout > 0 ? message.timeout : undefined);
+}, { timeout: ELEMENT_PICKER_TIMEOUT });
+registerCommand('stop-element-picker', () => stopElementPicker());
+registerCommand('capture-screenshot', (message) => handleCaptureScreenshot(message), {
+    timeout: SCREENSHOT_TIMEOUT,
+    capability: 'screenshots',
+    schema: {
+        mode: { type: 'string' },
+        selector: { type: 'selector' },
+        padding: { type: 'number' },
+        format: { type: 'string' },
+        quality: { type: 'number' }
+    }
+});
+registerCommand('fill-form', (message) => handleFillForm(message), {
+    capability: 'automation',
+    schema: {
+        data: { type: 'object', required: true },
+        mapping: { type: 'object' },
+        mappingId: { type: 'id' },
+        form: { type: 'selector' },
+        save: { type: 'boolean' },
+        name: { type: 'string' },
+        domainPattern: { type: 'string' }
+    }
 });
+registerCommand('save-form-mapping', (message) => saveFormMapping(message.mapping), {
+    capability: 'automation',
+    schema: { mapping: { type: 'object', required: true } }
+});
+registerCommand('list-form-mappings', (message) => listFormMappings(message.onlyMatching === true), {
+    schema: { onlyMatching: { type: 'boolean' } }
+});
+registerCommand('delete-form-mapping', (message) => deleteFormMapping(message.mappingId), {
+    capability: 'automation',
+    schema: { mappingId: { type: 'id', required: true } }
+});
+
+// ----------------------------------------------------------------------------------
+// Message Handling & Communication
+// ----------------------------------------------------------------------------------
+
+// Bridge: Capture window.postMessage from the iframe and dispatch it as a command
+function handleIframeMessage(event) {
+    // Security: Only process messages our iframe posted from the profile's origin;
+    // silently reject everything else
+    const iframe = document.getElementById('sidebar-container-nordcraft');
+    if (!isAppMessage(event, iframe, getTrustedOrigin())) return;
+
+    // Only the router may say where a command came from
+    const message = Object.assign({}, event.data);
+    delete message.routedFromTabId;
+    sidebarConnection.lastMessageAt = Date.now();
+
+    // Unknown types without a requestId are not addressed to us (legacy behavior)
+    if (!commandHandlers[message.type] && message.requestId === undefined) return;
+
+    // Commands with the `tabId` of another tab run there (and are audited there)
+    if (isRoutedToOtherTab(message)) {
+        dispatchToTab(message)
+            .then(data => postCommandReply(message, data))
+            .catch(error => postCommandReply(message, null, error));
+        return;
+    }
 
-// Handle messages from the extension background script
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    const capabilities = commandHandlers[message.type] ? getCommandCapabilities(message) : [];
+    dispatchCommand(message)
+        .then(data => {
+            auditCommand(message, capabilities, 'iframe', data, null);
+            postCommandReply(message, data);
+        })
+        .catch(error => {
+            auditCommand(message, capabilities, 'iframe', null, error);
+            postCommandReply(message, null, error);
+        });
+}
+
+// Handle messages from the extension background script and the popup
+function handleRuntimeMessage(request, sender, sendResponse) {
     // Handle DOM manipulation requests
     if (request.type === 'manipulateDom') {
-        handleManipulateDomRequest(request);
+        let timeout = typeof request.timeout === 'number' && request.timeout > 0
+            ? request.timeout
+            : (request.action === 'captureScreenshot' ? SCREENSHOT_TIMEOUT : DEFAULT_COMMAND_TIMEOUT);
+        // Only the popup sends these; it acts for the user, so no permission check
+        // (the app's commands arrive as panelCommand or through the iframe bridge)
+        const capabilities = getManipulateDomCapabilities(request);
+        let precondition = Promise.resolve();
+        if (request.waitFor) {
+            const waitSpec = Object.assign({}, request.waitFor, { timeout: getWaitTimeout(request.waitFor.timeout) });
+            timeout += waitSpec.timeout;
+            precondition = waitFor(waitSpec);
+        }
+        runWithTimeout(precondition.then(() => handleManipulateDomRequest(request)), timeout, request.action)
+            .then(data => {
+                auditCommand(request, capabilities, 'popup', data, null);
+                sendResponse({ ok: true, data: data === undefined ? null : data, value: data ? data.value : null });
+            })
+            .catch(error => {
+                auditCommand(request, capabilities, 'popup', null, error);
+                sendResponse({ ok: false, error: serializeCommandError(error), value: null });
+            });
+        return true; // Required for async response
+    }
+    // Command from the app in the side panel (see handlePanelCommand)
+    else if (request.action === 'panelCommand' && request.command) {
+        handlePanelCommand(request).then(sendResponse);
+        return true; // Required for async response
+    }
+    // Command from the sidebar app of another tab (see dispatchToTab)
+    else if (request.action === 'routedCommand' && request.command) {
+        handleRoutedCommand(request).then(sendResponse);
+        return true; // Required for async response
+    }
+    // Event of a command this tab routed to another tab
+    else if (request.action === 'routedEvent' && request.event) {
+        postToIframe(request.event);
     }
     // Handle data requests
     else if (request.type === 'getData') {
@@ -164,134 +729,108 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     } 
     // Handle custom sidebar toggle
     else if (request.action === "showCustomSidebar") {
-        toggleCustomSidebar();
+        if (siteEnabled) toggleCustomSidebar();
+    }
+    // Popup: report sidebar and iframe connection status
+    else if (request.action === "getSidebarStatus") {
+        sendResponse(getSidebarStatus());
+    }
+    // Popup: open or close the sidebar
+    else if (request.action === "setSidebarOpen") {
+        if (siteEnabled) setSidebarOpen(request.open === true);
+        sendResponse(getSidebarStatus());
+    }
+    // Popup: the extension was enabled or disabled on this site
+    else if (request.action === "setSiteEnabled") {
+        applySiteEnabled(request.enabled === true);
+        sendResponse(getSidebarStatus());
     }
     // Handle sidebar state check from background script
-    else if (request.action === "checkSidebarState") {
+    else if (request.action === "checkSidebarState" && siteEnabled) {
         const existingSidebar = document.getElementById('my-chrome-sidebar-wrapper');
         if (!existingSidebar) {
-            // Sidebar doesn't exist, check if it should be restored
-            chrome.storage.local.get(['sidebarOpen', 'lastStateChange'], (result) => {
-                const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-                const wasRecentlyChanged = result.lastStateChange && result.lastStateChange > fiveMinutesAgo;
-                
-                if (result.sidebarOpen === true && wasRecentlyChanged) {
-                    setTimeout(() => toggleCustomSidebar(), 100);
-                } else if (result.sidebarOpen === true && !wasRecentlyChanged) {
-                    saveSidebarState(false);
-                }
-            });
+            // Sidebar doesn't exist, check if it was open in this tab
+            restoreSidebarState();
         }
     }
-});
+}
 
 // ----------------------------------------------------------------------------------
 // DOM Manipulation Functions
 // ----------------------------------------------------------------------------------
 
+// Actions supported by manipulate-dom and the manipulateDom runtime message
+const DOM_ACTIONS = [
+    'removeElement',
+    'setText',
+    'setHTML',
+    'setStyle',
+    'addClass',
+    'removeClass',
+    'toggleClass',
+    'appendHTML',
+    'prependHTML',
+    'click',
+    'setInputValue'
+];
+
+// DOM actions that drive the page like a user rather than edit it
+const AUTOMATION_DOM_ACTIONS = ['click', 'setInputValue'];
+
+// DOM actions inserting markup, which is sanitized unless the request is `trusted`
+const HTML_DOM_ACTIONS = ['setHTML', 'appendHTML', 'prependHTML'];
+
+// Capabilities a DOM action needs. Unsanitized HTML can run scripts, so trusted
+// HTML also needs injectScripts.
+function getDomActionCapability(action, trusted = false) {
+    if (AUTOMATION_DOM_ACTIONS.includes(action)) return ['automation'];
+    return trusted && HTML_DOM_ACTIONS.includes(action) ? ['writeDom', 'injectScripts'] : ['writeDom'];
+}
+
+// Capabilities the operations of a batch need
+function getDomBatchCapabilities(operations) {
+    const capabilities = (Array.isArray(operations) ? operations : [])
+        .reduce((list, operation) => list.concat(operation
+            ? getDomActionCapability(operation.action, operation.trusted === true)
+            : []), []);
+    return capabilities.length > 0 ? Array.from(new Set(capabilities)) : ['writeDom'];
+}
+
+// Capabilities a manipulateDom runtime request needs
+function getManipulateDomCapabilities(request) {
+    const capabilities = {
+        observeDomValue: 'readDom',
+        getDomInfo: 'readDom',
+        extractPage: 'readDom',
+        injectWebComponent: 'injectScripts',
+        captureScreenshot: 'screenshots'
+    };
+    return capabilities[request.action]
+        ? [capabilities[request.action]]
+        : getDomActionCapability(request.action, request.trusted === true);
+}
+
 // Handle DOM manipulation request from background script
 function handleManipulateDomRequest(request) {
-    if (request.action === 'removeElement') {
-        const el = document.querySelector(request.selector);
-        if (el) el.remove();
-    } else if (request.action === 'observeDomValue') {
+    if (request.action === 'observeDomValue') {
         // Start an observer on an element and send domValueChanged with watchId on change
-        const selector = request.selector;
-        const attribute = request.attribute || 'innerText';
-        const eventType = request.eventType || (attribute === 'value' ? 'input' : 'DOMSubtreeModified');
-        const watchId = request.watchId;
-        const el = document.querySelector(selector);
-        if (!el) return;
-        
-        let lastValue = (attribute in el) ? el[attribute] : el.getAttribute(attribute);
-        // Send current value immediately
-        chrome.runtime.sendMessage({
-            type: 'domValueChanged',
-            selector,
-            attribute,
-            value: lastValue,
-            watchId
-        });
-        
-        if (eventType !== 'DOMSubtreeModified') {
-            el.addEventListener(eventType, () => {
-                let value = (attribute in el) ? el[attribute] : el.getAttribute(attribute);
-                if (value !== lastValue) {
-                    lastValue = value;
-                    chrome.runtime.sendMessage({
-                        type: 'domValueChanged',
-                        selector,
-                        attribute,
-                        value,
-                        watchId
-                    });
-                }
-            });
-        } else {
-            const observer = new MutationObserver(() => {
-                let value = (attribute in el) ? el[attribute] : el.getAttribute(attribute);
-                if (value !== lastValue) {
-                    lastValue = value;
-                    chrome.runtime.sendMessage({
-                        type: 'domValueChanged',
-                        selector,
-                        attribute,
-                        value,
-                        watchId
-                    });
-                }
-            });
-            observer.observe(el, { childList: true, subtree: true, characterData: true });
-        }
+        return startDomObserver(request, (message) => chrome.runtime.sendMessage(message));
+    } else if (request.action === 'getDomInfo') {
+        return { value: readDomValues(request.selector, request.attribute, getTargetOptions(request)) };
     } else if (request.action === 'injectWebComponent') {
-        injectWebComponent(request);
+        return injectWebComponent(request);
+    } else if (request.action === 'captureScreenshot') {
+        return handleCaptureScreenshot(request);
+    } else if (request.action === 'extractPage') {
+        return handleExtractPage(request);
     } else {
-        performDomAction(request);
+        return performDomAction(request);
     }
 }
 
 // Perform standard DOM actions on elements
 function performDomAction(request) {
-    const el = document.querySelector(request.selector);
-    if (!el) return;
-    
-    switch(request.action) {
-        case 'setText':
-            el.textContent = request.value;
-            break;
-        case 'setHTML':
-            el.innerHTML = request.value;
-            break;
-        case 'setStyle':
-            Object.assign(el.style, request.value);
-            break;
-        case 'addClass':
-            el.classList.add(request.value);
-            break;
-        case 'removeClass':
-            el.classList.remove(request.value);
-            break;
-        case 'toggleClass':
-            el.classList.toggle(request.value);
-            break;
-        case 'appendHTML':
-            el.insertAdjacentHTML('beforeend', request.value);
-            break;
-        case 'prependHTML':
-            el.insertAdjacentHTML('afterbegin', request.value);
-            break;
-        case 'click':
-            el.click();
-            break;
-        case 'setInputValue':
-            // Fill input, textarea or select field
-            if ('value' in el) {
-                el.value = request.value;
-                el.dispatchEvent(new Event('input', { bubbles: true }));
-                el.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-            break;
-    }
+    return handleDomManipulation(request.selector, request.action, request.value, getDomActionOptions(request));
 }
 
 // Inject a web component with flexible placement
@@ -300,98 +839,146 @@ function injectWebComponent(request) {
     const scriptSrc = request.src;
     const selector = request.selector; // CSS selector
     const placement = request.placement || 'append'; // 'replace', 'append', 'prepend'
+    const timeout = typeof request.timeout === 'number' && request.timeout > 0 ? request.timeout : DEFAULT_COMMAND_TIMEOUT;
     
     if (!scriptSrc) {
-        // Silent return - no scriptSrc provided
-        return;
+        return Promise.reject(createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'injectWebComponent requires a src'));
     }
     
     if (!name) {
-        // Silent return - no name provided
-        return;
+        return Promise.reject(createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'injectWebComponent requires a name'));
     }
     
-    // Function to create and place the custom element
-    function createCustomElement() {
-        // Check if customElements API is available
-        if (typeof customElements === 'undefined' || !customElements) {
-            // customElements API not available, creating element anyway
-        } else {
-            // Check if custom element is defined
-            if (!customElements.get(name)) {
-                // Retry after a longer delay
-                setTimeout(createCustomElement, 500);
+    return new Promise((resolve, reject) => {
+        // Function to create and place the custom element
+        function createCustomElement() {
+            let target = null;
+            if (selector) {
+                try {
+                    target = queryElement(selector);
+                } catch (error) {
+                    // A missing target falls back to the body; a broken selector is an error
+                    if (error.code !== COMMAND_ERRORS.ELEMENT_NOT_FOUND) {
+                        reject(error);
+                        return;
+                    }
+                }
+            }
+            
+            if (!target) {
+                // Fallback: bottom of body
+                if (!document.body.querySelector(name)) {
+                    const customEl = document.createElement(name);
+                    
+                    // Create and add the script element inside the custom element
+                    const script = document.createElement('script');
+                    script.type = 'module';
+                    script.src = scriptSrc;
+                    customEl.appendChild(script);
+                    
+                    document.body.appendChild(customEl);
+                    resolve({ name, placement: 'append', target: 'body', status: 'injected' });
+                    return;
+                }
+                resolve({ name, status: 'already-present' });
+                return;
+            }
+            
+            // Prevent double injection
+            if (target.querySelector(name) || (target.parentNode && target.parentNode.querySelector(name))) {
+                resolve({ name, status: 'already-present' });
                 return;
             }
+            
+            const customEl = document.createElement(name);
+            
+            // Create and add the script element inside the custom element
+            const script = document.createElement('script');
+            script.type = 'module';
+            script.src = scriptSrc;
+            customEl.appendChild(script);
+            
+            if (placement === 'replace') {
+                target.replaceWith(customEl);
+            } else if (placement === 'prepend') {
+                target.insertBefore(customEl, target.firstChild);
+            } else {
+                // append (default)
+                target.appendChild(customEl);
+            }
+            resolve({ name, placement, target: selector, status: 'injected' });
         }
         
-        const target = selector ? document.querySelector(selector) : null;
+        // Check if script already exists (either as standalone or inside custom element)
+        const existingScript = document.querySelector(`script[src="${scriptSrc}"]`);
+        const existingCustomEl = document.querySelector(name);
         
-        if (!target) {
-            // Fallback: bottom of body
-            if (!document.body.querySelector(name)) {
-                const customEl = document.createElement(name);
-                
-                // Create and add the script element inside the custom element
+        if (existingScript || existingCustomEl) {
+            // If custom element exists but no script inside, add script
+            if (existingCustomEl && !existingCustomEl.querySelector(`script[src="${scriptSrc}"]`)) {
                 const script = document.createElement('script');
                 script.type = 'module';
                 script.src = scriptSrc;
-                customEl.appendChild(script);
-                
-                document.body.appendChild(customEl);
+                existingCustomEl.appendChild(script);
             }
+            resolve({ name, status: 'already-present' });
             return;
         }
         
-        // Prevent double injection
-        if (target.querySelector(name) || (target.parentNode && target.parentNode.querySelector(name))) {
-            return;
-        }
-        
-        const customEl = document.createElement(name);
-        
-        // Create and add the script element inside the custom element
-        const script = document.createElement('script');
-        script.type = 'module';
-        script.src = scriptSrc;
-        customEl.appendChild(script);
-        
-        if (placement === 'replace') {
-            target.replaceWith(customEl);
-        } else if (placement === 'prepend') {
-            target.insertBefore(customEl, target.firstChild);
-        } else {
-            // append (default)
-            target.appendChild(customEl);
-        }
+        // Wait until the custom element is defined, then create it with the script inside.
+        // Without the customElements API the element is created right away.
+        const whenDefined = (typeof customElements === 'undefined' || !customElements)
+            ? Promise.resolve()
+            : waitForCondition(() => customElements.get(name), {
+                timeout,
+                interval: 500,
+                label: `custom element ${name} to be defined`
+            });
+        whenDefined.then(createCustomElement, reject);
+    });
+}
+
+// Handle direct DOM manipulation, on the first match or on every match with `all`
+function handleDomManipulation(selector, action, value, options = {}) {
+    if (!DOM_ACTIONS.includes(action)) {
+        throw createCommandError(COMMAND_ERRORS.UNKNOWN_ACTION, `Unknown DOM action: ${action}`);
     }
     
-    // Check if script already exists (either as standalone or inside custom element)
-    const existingScript = document.querySelector(`script[src="${scriptSrc}"]`);
-    const existingCustomEl = document.querySelector(name);
+    const elements = queryElements(selector, options);
+    const changes = applyDomActionToAll(elements, selector, action, value, options.trusted === true);
+    const changeId = recordDomChangeSet(changes);
     
-    if (existingScript || existingCustomEl) {
-        // If custom element exists but no script inside, add script
-        if (existingCustomEl && !existingCustomEl.querySelector(`script[src="${scriptSrc}"]`)) {
-            const script = document.createElement('script');
-            script.type = 'module';
-            script.src = scriptSrc;
-            existingCustomEl.appendChild(script);
-        }
-        return;
+    const result = { selector, action, changeId, count: changes.length };
+    if (HTML_DOM_ACTIONS.includes(action)) {
+        result.sanitized = options.trusted !== true;
+        result.removed = changes.reduce((total, change) => total + (change.removed || 0), 0);
     }
-    
-    // Create custom element with script inside (no separate script loading needed)
-    createCustomElement();
+    return result;
 }
 
-// Handle direct DOM manipulation
-function handleDomManipulation(selector, action, value) {
-    const el = document.querySelector(selector);
-    if (!el) {
-        return;
+// Apply an action to several elements, rolling all of them back if one fails
+function applyDomActionToAll(elements, selector, action, value, trusted = false) {
+    const changes = [];
+    try {
+        elements.forEach(el => changes.push(applyDomAction(el, selector, action, value, trusted)));
+    } catch (error) {
+        rollbackChanges(changes);
+        throw error;
+    }
+    return changes;
+}
+
+// Apply one action to an element and return a change record that can restore it.
+// HTML is sanitized (see src/content/sanitize.js) unless `trusted` is set.
+function applyDomAction(el, selector, action, value, trusted = false) {
+    if (action === 'setInputValue' && !('value' in el)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Element does not accept a value: ${selector}`);
     }
     
+    const restore = snapshotElementState(el, action);
+    const before = readAuditValue(el, action);
+    const sanitized = HTML_DOM_ACTIONS.includes(action) && !trusted ? sanitizeHtml(value, el.ownerDocument) : null;
+    
     switch(action) {
         case 'removeElement':
             el.remove();
@@ -400,7 +987,11 @@ function handleDomManipulation(selector, action, value) {
             el.textContent = value;
             break;
         case 'setHTML':
-            el.innerHTML = value;
+            if (sanitized) {
+                el.replaceChildren(sanitized.fragment);
+            } else {
+                el.innerHTML = value;
+            }
             break;
         case 'setStyle':
             Object.assign(el.style, value);
@@ -414,105 +1005,291 @@ function handleDomManipulation(selector, action, value) {
         case 'toggleClass':
             el.classList.toggle(value);
             break;
+        case 'appendHTML':
+            if (sanitized) {
+                el.append(sanitized.fragment);
+            } else {
+                el.insertAdjacentHTML('beforeend', value);
+            }
+            break;
+        case 'prependHTML':
+            if (sanitized) {
+                el.prepend(sanitized.fragment);
+            } else {
+                el.insertAdjacentHTML('afterbegin', value);
+            }
+            break;
         case 'click':
             el.click();
             break;
         case 'setInputValue':
-            if ('value' in el) {
-                el.value = value;
-                el.dispatchEvent(new Event('input', { bubbles: true }));
-                el.dispatchEvent(new Event('change', { bubbles: true }));
-            }
+            // Fill input, textarea or select field (through the native setter, see
+            // setNativeFieldValue, so framework-controlled inputs keep the value)
+            setNativeFieldValue(el, 'value', value);
+            dispatchFieldEvents(el);
             break;
     }
+    
+    // before/after values are kept for the audit log (see src/content/audit.js)
+    const change = { selector, action, restore, reversible: restore !== null, before, after: readAuditValue(el, action) };
+    if (sanitized) change.removed = sanitized.removed;
+    return change;
 }
 
-// Handler for DOM observer
-function handleDomObserver(selector, attribute, eventType, watchId) {
-    const el = document.querySelector(selector);
-    
-    // Return early if element not found
-    if (!el) {
-        return;
+// ----------------------------------------------------------------------------------
+// DOM Change History (batches, rollback and undo)
+// ----------------------------------------------------------------------------------
+
+// Change sets applied by the assistant, keyed by changeId, in the order they were made
+const domChangeSets = new Map();
+let domChangeCounter = 0;
+
+// Capture what an action is about to overwrite and return a function restoring it.
+// Returns null for actions that cannot be undone (click).
+function snapshotElementState(el, action) {
+    switch(action) {
+        case 'removeElement': {
+            const parent = el.parentNode;
+            const nextSibling = el.nextSibling;
+            return () => {
+                if (!parent) return;
+                const reference = nextSibling && nextSibling.parentNode === parent ? nextSibling : null;
+                parent.insertBefore(el, reference);
+            };
+        }
+        case 'setText':
+        case 'setHTML':
+        case 'appendHTML':
+        case 'prependHTML': {
+            // Keep the original nodes (not their markup) so listeners and state survive an undo
+            const childNodes = Array.from(el.childNodes);
+            return () => el.replaceChildren(...childNodes);
+        }
+        case 'setStyle':
+            return restoreAttribute(el, 'style');
+        case 'addClass':
+        case 'removeClass':
+        case 'toggleClass':
+            return restoreAttribute(el, 'class');
+        case 'setInputValue': {
+            const previousValue = el.value;
+            return () => {
+                setNativeFieldValue(el, 'value', previousValue);
+                dispatchFieldEvents(el);
+            };
+        }
+        default:
+            return null;
     }
-    
-    attribute = attribute || 'innerText';
-    eventType = eventType || (attribute === 'value' ? 'input' : 'DOMSubtreeModified');
-    
-    let lastValue = (attribute in el) ? el[attribute] : el.getAttribute(attribute);
-    
-    // Send current value directly back to iframe
-    const iframe = document.getElementById('sidebar-container-nordcraft');
-    if (iframe && iframe.contentWindow) {
-        const trustedOrigin = getTrustedOrigin();
-        iframe.contentWindow.postMessage({
-            type: 'domValueChanged',
-            selector,
-            attribute,
-            value: lastValue,
-            watchId
-        }, trustedOrigin);
+}
+
+// Restore function for a single attribute, removing it again if it was absent
+function restoreAttribute(el, name) {
+    const hadAttribute = el.hasAttribute(name);
+    const previousValue = el.getAttribute(name);
+    return () => {
+        if (hadAttribute) {
+            el.setAttribute(name, previousValue);
+        } else {
+            el.removeAttribute(name);
+        }
+    };
+}
+
+// Undo a list of change records, newest first
+function rollbackChanges(changes) {
+    for (let i = changes.length - 1; i >= 0; i--) {
+        if (changes[i].restore) {
+            changes[i].restore();
+        }
+    }
+}
+
+// Store applied changes under a new changeId so they can be undone later
+function recordDomChangeSet(changes) {
+    domChangeCounter += 1;
+    const changeId = 'change-' + Date.now() + '-' + domChangeCounter;
+    domChangeSets.set(changeId, {
+        changeId,
+        createdAt: Date.now(),
+        changes
+    });
+    return changeId;
+}
+
+// Apply an ordered list of { selector, action, value } operations.
+// Transactional batches (the default) are rolled back entirely if any operation fails.
+function handleDomBatch(operations, transactional = true) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'A non-empty operations array is required');
     }
     
-    // Set up the observer
-    if (eventType !== 'DOMSubtreeModified') {
-        el.addEventListener(eventType, () => {
-            let value = (attribute in el) ? el[attribute] : el.getAttribute(attribute);
-            if (value !== lastValue) {
-                lastValue = value;
-                if (iframe && iframe.contentWindow) {
-                    const trustedOrigin = getTrustedOrigin();
-                    iframe.contentWindow.postMessage({
-                        type: 'domValueChanged',
-                        selector,
-                        attribute,
-                        value,
-                        watchId
-                    }, trustedOrigin);
-                }
+    const applied = [];
+    const results = [];
+    
+    for (let index = 0; index < operations.length; index++) {
+        const operation = operations[index] || {};
+        try {
+            if (!DOM_ACTIONS.includes(operation.action)) {
+                throw createCommandError(COMMAND_ERRORS.UNKNOWN_ACTION, `Unknown DOM action: ${operation.action}`);
             }
-        });
-    } else {
-        const observer = new MutationObserver(() => {
-            let value = (attribute in el) ? el[attribute] : el.getAttribute(attribute);
-            if (value !== lastValue) {
-                lastValue = value;
-                if (iframe && iframe.contentWindow) {
-                    const trustedOrigin = getTrustedOrigin();
-                    iframe.contentWindow.postMessage({
-                        type: 'domValueChanged',
-                        selector,
-                        attribute,
-                        value,
-                        watchId
-                    }, trustedOrigin);
-                }
+            const elements = queryElements(operation.selector, getTargetOptions(operation));
+            applied.push(...applyDomActionToAll(elements, operation.selector, operation.action, operation.value,
+                operation.trusted === true));
+            results.push({ index, ok: true });
+        } catch (error) {
+            if (transactional) {
+                rollbackChanges(applied);
+                const batchError = createCommandError(error.code || COMMAND_ERRORS.INTERNAL_ERROR,
+                    `Operation ${index} failed, batch rolled back: ${error.message}`);
+                batchError.details = { failedIndex: index, rolledBack: applied.length };
+                throw batchError;
             }
-        });
-        observer.observe(el, { childList: true, subtree: true, characterData: true });
+            results.push({ index, ok: false, error: serializeCommandError(error) });
+        }
+    }
+    
+    const changeId = applied.length > 0 ? recordDomChangeSet(applied) : null;
+    
+    return {
+        changeId,
+        applied: applied.length,
+        irreversible: applied.filter(change => !change.reversible).length,
+        results
+    };
+}
+
+// Undo one change set by its changeId
+function undoDomChangeSet(changeId) {
+    const changeSet = domChangeSets.get(changeId);
+    if (!changeSet) {
+        throw createCommandError(COMMAND_ERRORS.CHANGE_NOT_FOUND, `No change set found: ${changeId}`);
     }
+    
+    rollbackChanges(changeSet.changes);
+    domChangeSets.delete(changeId);
+    return { changeId, reverted: changeSet.changes.length };
+}
+
+// Undo every change set still recorded, newest first
+function revertAllDomChanges() {
+    const changeIds = Array.from(domChangeSets.keys()).reverse();
+    changeIds.forEach(changeId => undoDomChangeSet(changeId));
+    return { reverted: changeIds };
+}
+
+// Summaries of the recorded change sets, oldest first
+function listDomChangeSets() {
+    return Array.from(domChangeSets.values()).map(changeSet => ({
+        changeId: changeSet.changeId,
+        createdAt: changeSet.createdAt,
+        operations: changeSet.changes.map(change => ({
+            selector: change.selector,
+            action: change.action,
+            reversible: change.reversible
+        }))
+    }));
+}
+
+// ----------------------------------------------------------------------------------
+// DOM Observers & Reads
+// ----------------------------------------------------------------------------------
+
+// Read a property (e.g. innerText, value) or attribute from an element
+function readDomValue(el, attribute) {
+    return (attribute in el) ? el[attribute] : el.getAttribute(attribute);
+}
+
+// Read a value from the targeted element, or an array of values with `all`
+function readDomValues(selector, attribute, options = {}) {
+    const elements = queryElements(selector, options);
+    const values = elements.map(el => readDomValue(el, attribute));
+    return options.all ? values : values[0];
+}
+
+// Handler for DOM observer (see src/content/observers.js)
+function handleDomObserver(message) {
+    // Send changes directly back to iframe (of the tab that routed the command here)
+    return startDomObserver(message, getEventSink(message));
 }
 
 // Handler for getting DOM info
-function handleGetDomInfo(selector, attribute, requestId) {
-    const el = document.querySelector(selector);
+function handleGetDomInfo(selector, attribute, requestId, options = {}) {
     let value = null;
+    let lookupError = null;
     
-    if (el) {
-        value = (attribute in el) ? el[attribute] : el.getAttribute(attribute);
+    try {
+        value = readDomValues(selector, attribute, options);
+    } catch (error) {
+        lookupError = error;
     }
     
-    // Send result back to iframe
-    const iframe = document.getElementById('sidebar-container-nordcraft');
-    if (iframe && iframe.contentWindow) {
-        const trustedOrigin = getTrustedOrigin();
-        iframe.contentWindow.postMessage({
-            type: 'dom-info-result',
-            selector,
-            attribute,
-            value,
-            requestId
-        }, trustedOrigin);
+    // Send legacy result message back to iframe
+    postToIframe({
+        type: 'dom-info-result',
+        selector,
+        attribute,
+        value,
+        requestId
+    });
+    
+    if (lookupError) throw lookupError;
+    return { selector, attribute, value, count: options.all ? value.length : 1 };
+}
+
+// Handler for getting tab info
+function handleGetTabInfo() {
+    const data = {
+        url: window.location.href,
+        title: document.title,
+        tabId: currentTabId
+    };
+    
+    // Send legacy tab-info message to iframe
+    postToIframe({ type: 'tab-info', data });
+    return data;
+}
+
+// Handler for the hello handshake: the protocol version to speak (the app's
+// `protocolVersion` or older), what the extension supports, what the active profile
+// may use and the page the app works on. Also posted unasked when the iframe loads.
+async function handleHello(message) {
+    const protocolVersion = negotiateProtocolVersion(message.protocolVersion);
+    const declared = getDeclaredCapabilities();
+    return {
+        extensionVersion: chrome.runtime.getManifest().version,
+        protocolVersion,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        maxProtocolVersion: PROTOCOL_VERSION,
+        commands: listCommands(),
+        // Commands whose capabilities the profile declares (sensitive ones may still prompt)
+        enabledCommands: listCommands().filter(type => {
+            return getCommandCapabilities({ type }).every(capability => declared.includes(capability));
+        }),
+        profile: activeProfile ? { id: activeProfile.id, name: activeProfile.name } : null,
+        permissions: { declared, granted: await getGrantedCapabilities() },
+        page: {
+            url: window.location.href,
+            title: document.title,
+            hostname: window.location.hostname,
+            tabId: currentTabId,
+            mode: getConfig('sidebar.mode', 'overlay')
+        }
+    };
+}
+
+// Handler for ping: apps send it as a heartbeat to show whether the extension is
+// still connected
+function handlePing() {
+    return { pong: true, timestamp: Date.now(), protocolVersion: PROTOCOL_VERSION };
+}
+
+// Greet an app that just loaded with the hello data, so it need not ask
+async function postHello() {
+    try {
+        postToIframe({ type: 'hello', data: await handleHello({}) });
+    } catch (error) {
+        console.error('Failed to send hello to the app:', error);
     }
 }
 
@@ -531,15 +1308,6 @@ function overwriteContent(newContent) {
     document.body.innerHTML = newContent;
 }
 
-// Function to capture a screenshot of the current webpage
-function captureScreenshot() {
-    html2canvas(document.body).then(canvas => {
-        const screenshot = canvas.toDataURL();
-        // Send the screenshot to the background script or popup
-        chrome.runtime.sendMessage({ type: 'screenshot', data: screenshot });
-    });
-}
-
 
 // ----------------------------------------------------------------------------------
 // URL Change Detection for Single Page Applications
@@ -558,33 +1326,33 @@ function notifyUrlChange(newUrl, oldUrl) {
         title: document.title
     });
     
-    // Notify iframe if it exists - send both url-changed AND tab-info events
-    const iframe = document.getElementById('sidebar-container-nordcraft');
-    if (iframe && iframe.contentWindow) {
-        const trustedOrigin = getTrustedOrigin();
-        
-        // Send specific URL change event
-        iframe.contentWindow.postMessage({
-            type: 'url-changed',
-            data: {
-                newUrl: newUrl,
-                oldUrl: oldUrl,
-                title: document.title,
-                tabId: 'tab-' + Date.now()
-            }
-        }, trustedOrigin);
-        
-        // Also send tab-info event (same as existing listeners expect)
-        iframe.contentWindow.postMessage({
-            type: 'tab-info',
-            data: {
-                url: newUrl,
-                title: document.title,
-                tabId: 'tab-' + Date.now(),
-                changeType: 'spa_navigation' // Extra info to distinguish from initial load
-            }
-        }, trustedOrigin);
-    }
+    // Reattach observers whose targets were re-rendered by the navigation
+    handleObserversUrlChange();
+    
+    // Record the navigation as a step if a macro is being recorded
+    handleMacroUrlChange(newUrl);
+    
+    // Notify the app (injected iframe or side panel) - send both url-changed AND tab-info events
+    postToIframe({
+        type: 'url-changed',
+        data: {
+            newUrl: newUrl,
+            oldUrl: oldUrl,
+            title: document.title,
+            tabId: currentTabId
+        }
+    });
+
+    // Also send tab-info event (same as existing listeners expect)
+    postToIframe({
+        type: 'tab-info',
+        data: {
+            url: newUrl,
+            title: document.title,
+            tabId: currentTabId,
+            changeType: 'spa_navigation' // Extra info to distinguish from initial load
+        }
+    });
 }
 
 // Override pushState and replaceState to detect programmatic navigation
@@ -687,12 +1455,24 @@ function initializeUrlDetection() {
 // Custom Sidebar Implementation
 // ----------------------------------------------------------------------------------
 
-// Initialize the extension by notifying the background script about the current URL
-chrome.runtime.sendMessage({
-  type: "NORDCRAFT_ACTION",
-  action: "READ_URL",
-  url: window.location.href
-});
+// Whether the extension is enabled on this site (see src/utils/site-settings.js)
+let siteEnabled = true;
+
+// When the sidebar iframe last loaded and last sent us a message, for the popup's status
+const sidebarConnection = { loadedAt: null, lastMessageAt: null };
+
+// Events posted while the iframe was loading, sent once it has loaded (see postToIframe)
+const pendingIframeMessages = [];
+const MAX_PENDING_IFRAME_MESSAGES = 100;
+
+// Notify the background script about the current URL
+function notifyReadUrl() {
+    chrome.runtime.sendMessage({
+        type: "NORDCRAFT_ACTION",
+        action: "READ_URL",
+        url: window.location.href
+    });
+}
 
 function addSidebarToggleButton() {
     if (document.getElementById('my-chrome-sidebar-btn')) return; 
@@ -879,6 +1659,7 @@ function injectCustomSidebar() {
 
     // Header with close button and responsive title
     const header = document.createElement('div');
+    header.id = 'my-chrome-sidebar-header';
     Object.assign(header.style, {
         display: 'flex',
         justifyContent: 'space-between',
@@ -891,6 +1672,7 @@ function injectCustomSidebar() {
     
     // Title in header from config
     const title = document.createElement('div');
+    title.id = 'my-chrome-sidebar-title';
     title.textContent = getConfig('sidebar.title', 'Custom Sidebar');
     Object.assign(title.style, {
         fontWeight: '600',
@@ -900,6 +1682,7 @@ function injectCustomSidebar() {
         overflow: 'hidden'
     });
     header.appendChild(title);
+    header.appendChild(createProfileSwitcher());
 
     // Close button with config colors
     const closeBtn = document.createElement('button');
@@ -954,6 +1737,9 @@ function injectCustomSidebar() {
     });
     
     // Use iframe source from config
+    sidebarConnection.loadedAt = null;
+    sidebarConnection.lastMessageAt = null;
+    pendingIframeMessages.length = 0;
     iframe.src = getConfig('sidebar.iframeSrc', 'https://add-functions-codelution_chrome_extension.toddle.site/');
     
     // Assemble everything
@@ -997,6 +1783,7 @@ function injectCustomSidebar() {
     
     // Ensure the iframe knows the sidebar is ready
     iframe.onload = () => {
+        sidebarConnection.loadedAt = Date.now();
         chrome.runtime.sendMessage({
             type: "SIDEBAR_READY",
             url: window.location.href,
@@ -1010,23 +1797,64 @@ function injectCustomSidebar() {
             data: {
                 url: window.location.href,
                 title: document.title,
-                tabId: 'tab-' + Date.now()
+                tabId: currentTabId
             }
         }, trustedOrigin);
+        postHello();
+        pendingIframeMessages.splice(0).forEach(message => iframe.contentWindow.postMessage(message, trustedOrigin));
     };
     
     return sidebarWrapper;
 }
 
+// Profile switcher shown in the sidebar header when there is more than one app profile
+function createProfileSwitcher() {
+    const switcher = document.createElement('select');
+    switcher.id = 'my-chrome-sidebar-profile';
+    switcher.title = 'Switch app';
+    Object.assign(switcher.style, {
+        marginLeft: 'auto',
+        maxWidth: '140px',
+        padding: '2px 4px',
+        border: '1px solid rgba(255,255,255,0.5)',
+        borderRadius: '4px',
+        background: 'transparent',
+        color: '#fff',
+        font: 'inherit',
+        fontSize: '12px',
+        cursor: 'pointer'
+    });
+    switcher.addEventListener('change', () => {
+        // The storage change reloads the configuration in every tab of this site
+        setSiteProfileChoice(window.location.hostname, switcher.value);
+    });
+    renderProfileSwitcher(switcher);
+    return switcher;
+}
+
+// Fill the profile switcher with the current profiles
+function renderProfileSwitcher(switcher) {
+    switcher.textContent = '';
+    availableProfiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.style.color = '#333';
+        switcher.appendChild(option);
+    });
+    switcher.value = activeProfile ? activeProfile.id : '';
+    switcher.style.display = availableProfiles.length > 1 ? '' : 'none';
+}
+
 // Enhanced resize functionality without external libraries
 function setupResizeHandle(wrapper, handle) {
     let startX, startWidth, initialWidth, dragging = false;
     
-    // Get configuration values
+    // Get configuration values (refreshed on every drag, settings can change live)
     let minWidth = getConfig('behavior.minWidth', 250);
     let maxWidthPercent = getConfig('behavior.maxWidthPercent', 90);
     let maxWidth = window.innerWidth * (maxWidthPercent / 100);
-    const primaryColor = getConfig('styling.primaryColor', '#1976d2');
+    let primaryColor = getConfig('styling.primaryColor', '#1976d2');
     
     // Update maxWidth on window resize
     window.addEventListener('resize', function() {
@@ -1062,6 +1890,7 @@ function setupResizeHandle(wrapper, handle) {
     // Clearer hover state for handle with config color
     handle.addEventListener('mouseenter', function() {
         const indicator = handle.querySelector('div');
+        primaryColor = getConfig('styling.primaryColor', '#1976d2');
         if (indicator) {
             indicator.style.display = 'block';
             indicator.style.opacity = '1';
@@ -1092,6 +1921,10 @@ function setupResizeHandle(wrapper, handle) {
         e.stopPropagation();
         
         dragging = true;
+        minWidth = getConfig('behavior.minWidth', 250);
+        maxWidthPercent = getConfig('behavior.maxWidthPercent', 90);
+        maxWidth = window.innerWidth * (maxWidthPercent / 100);
+        primaryColor = getConfig('styling.primaryColor', '#1976d2');
         startX = e.clientX;
         initialWidth = wrapper.offsetWidth;
         startWidth = initialWidth;
@@ -1153,6 +1986,8 @@ function setupResizeHandle(wrapper, handle) {
     }
     
     function resizeStop(e) {
+        // Remember the new width for this tab (after the last frame applied it)
+        if (dragging) requestAnimationFrame(() => saveSidebarState(isSidebarOpen()));
         dragging = false;
         document.body.classList.remove('sidebar-resizing');
         document.documentElement.style.cursor = '';
@@ -1183,8 +2018,14 @@ function setupResizeHandle(wrapper, handle) {
     }
 }
 
-// Toggle the sidebar visibility
+// Toggle the sidebar visibility. In side panel mode this opens Chrome's side panel
+// instead, which the user closes from Chrome's own UI.
 function toggleCustomSidebar() {
+    if (isSidePanelMode()) {
+        openSidePanel();
+        return;
+    }
+
     let sidebarWrapper = document.getElementById('my-chrome-sidebar-wrapper');
     const toggleBtn = document.getElementById('my-chrome-sidebar-btn');
     
@@ -1217,61 +2058,275 @@ function toggleCustomSidebar() {
     }
 }
 
-// Save sidebar state to Chrome storage
+// Ask the background script to open the side panel; only works during a click
+function openSidePanel() {
+    try {
+        chrome.runtime.sendMessage({ action: 'openSidePanel' }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.ok) {
+                console.error('Failed to open the side panel:', response ? response.error : chrome.runtime.lastError);
+            }
+        });
+    } catch (e) {
+        // Extension reloaded: the page can no longer reach the background script
+    }
+}
+
+// Save this tab's sidebar state (open, width, profile) through the background script,
+// which knows the tab (see src/utils/sidebar-state.js)
 function saveSidebarState(isOpen) {
-    chrome.storage.local.set({ 
-        sidebarOpen: isOpen,
-        sidebarUrl: window.location.href,
-        lastStateChange: Date.now() // Track when state was last changed
+    const sidebarWrapper = document.getElementById('my-chrome-sidebar-wrapper');
+    const state = { open: isOpen, profileId: activeProfile ? activeProfile.id : null };
+    if (sidebarWrapper && sidebarWrapper.style.width) {
+        state.width = sidebarWrapper.style.width;
+    }
+    try {
+        chrome.runtime.sendMessage({ action: 'saveSidebarState', state }, () => void chrome.runtime.lastError);
+    } catch (e) {
+        // Extension reloaded: the page can no longer reach the background script
+    }
+}
+
+// Load this tab's sidebar state from the background script (null when there is none)
+function loadSidebarTabState() {
+    return new Promise((resolve) => {
+        try {
+            chrome.runtime.sendMessage({ action: 'getSidebarState' }, (response) => {
+                resolve(chrome.runtime.lastError || !response ? null : response.state);
+            });
+        } catch (e) {
+            resolve(null);
+        }
     });
 }
 
-// Restore sidebar state from Chrome storage
-function restoreSidebarState() {
-    chrome.storage.local.get(['sidebarOpen', 'lastStateChange'], (result) => {
-        // Get auto-restore time from config (in minutes)
-        const autoRestoreMinutes = getConfig('behavior.autoRestoreTimeMinutes', 5);
-        const autoRestoreTime = Date.now() - (autoRestoreMinutes * 60 * 1000);
-        const wasRecentlyChanged = result.lastStateChange && result.lastStateChange > autoRestoreTime;
-        
-        if (result.sidebarOpen === true && wasRecentlyChanged) {
-            // Restore the sidebar in open state with a small delay
-            setTimeout(() => {
-                const existingSidebar = document.getElementById('my-chrome-sidebar-wrapper');
-                if (!existingSidebar) {
-                    toggleCustomSidebar();
-                }
-            }, 250); // Slightly longer delay to ensure DOM is fully ready
-        } else if (result.sidebarOpen === true && !wasRecentlyChanged) {
-            // Reset the state to closed since it's old
-            saveSidebarState(false);
+// Whether a stored state should reopen the sidebar (behavior.autoRestoreTimeMinutes).
+// Chrome keeps the side panel open across page loads on its own.
+function shouldRestoreSidebar(state) {
+    if (isSidePanelMode()) return false;
+    const autoRestoreMinutes = getConfig('behavior.autoRestoreTimeMinutes', 5);
+    return Boolean(state) && state.open === true && isRecentSidebarState(state, autoRestoreMinutes);
+}
+
+// Show the app profile this tab had open before it was reloaded
+async function restoreTabProfile(state) {
+    if (!shouldRestoreSidebar(state) || !state.profileId) return;
+    if (activeProfile && activeProfile.id === state.profileId) return;
+    if (!availableProfiles.some(profile => profile.id === state.profileId)) return;
+    tabProfileId = state.profileId;
+    await loadExtensionConfig();
+}
+
+// Set the sidebar to a remembered width, within the configured limits
+function applySidebarWidth(width) {
+    const sidebarWrapper = document.getElementById('my-chrome-sidebar-wrapper');
+    const pixels = parsePixelLength(width);
+    if (!sidebarWrapper || isNaN(pixels)) return;
+    // Small screens keep the mobile width
+    if (getConfig('behavior.enableMobileOptimization', true) && window.innerWidth < 768) return;
+
+    const minWidth = getConfig('behavior.minWidth', 250);
+    const maxWidth = window.innerWidth * (getConfig('behavior.maxWidthPercent', 90) / 100);
+    sidebarWrapper.style.width = Math.round(Math.max(minWidth, Math.min(maxWidth, pixels))) + 'px';
+}
+
+// Reopen the sidebar at its width if it was open in this tab recently. Loads the
+// state when none is given.
+async function restoreSidebarState(state) {
+    if (state === undefined) state = await loadSidebarTabState();
+    if (!shouldRestoreSidebar(state)) return;
+
+    // Restore the sidebar in open state with a small delay
+    setTimeout(() => {
+        const existingSidebar = document.getElementById('my-chrome-sidebar-wrapper');
+        if (!existingSidebar) {
+            toggleCustomSidebar();
+            if (state.width) applySidebarWidth(state.width);
         }
+    }, 250); // Slightly longer delay to ensure DOM is fully ready
+}
+
+// Check whether the sidebar is currently slid in
+function isSidebarOpen() {
+    const sidebarWrapper = document.getElementById('my-chrome-sidebar-wrapper');
+    return Boolean(sidebarWrapper) && sidebarWrapper.style.right === '0px';
+}
+
+// Open or close the sidebar (the popup opens the side panel itself)
+function setSidebarOpen(open) {
+    if (!isSidePanelMode() && open !== isSidebarOpen()) {
+        toggleCustomSidebar();
+    }
+}
+
+// Status of the sidebar and its iframe, shown in the popup
+function getSidebarStatus() {
+    const iframe = document.getElementById('sidebar-container-nordcraft');
+    let connection = 'none';
+    if (isSidePanelMode()) {
+        connection = sidebarConnection.lastMessageAt ? 'connected' : 'sidePanel';
+    } else if (iframe) {
+        if (sidebarConnection.lastMessageAt) connection = 'connected';
+        else if (sidebarConnection.loadedAt) connection = 'loaded';
+        else connection = 'loading';
+    }
+    return {
+        siteEnabled,
+        profile: activeProfile ? { id: activeProfile.id, name: activeProfile.name } : null,
+        mode: getConfig('sidebar.mode', 'overlay'),
+        title: getConfig('sidebar.title', ''),
+        open: isSidebarOpen(),
+        connection,
+        iframeSrc: getConfig('sidebar.iframeSrc', ''),
+        loadedAt: sidebarConnection.loadedAt,
+        lastMessageAt: sidebarConnection.lastMessageAt,
+        url: window.location.href
+    };
+}
+
+// Show or remove the extension's UI after the per-site switch changed
+function applySiteEnabled(enabled) {
+    siteEnabled = enabled;
+    if (enabled) {
+        addSidebarToggleButton();
+        return;
+    }
+    const sidebarWrapper = document.getElementById('my-chrome-sidebar-wrapper');
+    const toggleBtn = document.getElementById('my-chrome-sidebar-btn');
+    if (sidebarWrapper) {
+        sidebarWrapper.remove();
+        saveSidebarState(false);
+    }
+    if (toggleBtn) toggleBtn.remove();
+}
+
+// Reload the configuration after the options page saved new settings
+async function reloadExtensionConfig() {
+    const previousConfig = extensionConfig;
+    await loadExtensionConfig();
+    applyConfigChanges(previousConfig);
+}
+
+// Update the toggle button and an injected sidebar to the current configuration
+function applyConfigChanges(previousConfig) {
+    const changed = (path) => getSettingValue(previousConfig, path) !== getConfig(path);
+
+    // The toggle button's handlers capture its colors and sizes, so rebuild it
+    const toggleBtn = document.getElementById('my-chrome-sidebar-btn');
+    if (toggleBtn && siteEnabled) {
+        const display = toggleBtn.style.display;
+        toggleBtn.remove();
+        addSidebarToggleButton();
+        document.getElementById('my-chrome-sidebar-btn').style.display = display;
+    }
+
+    let sidebarWrapper = document.getElementById('my-chrome-sidebar-wrapper');
+    // Switching to the side panel removes the injected sidebar; the toggle button opens
+    // the side panel from now on
+    if (sidebarWrapper && isSidePanelMode()) {
+        sidebarWrapper.remove();
+        sidebarWrapper = null;
+        sidebarConnection.loadedAt = null;
+        sidebarConnection.lastMessageAt = null;
+        pendingIframeMessages.length = 0;
+        const button = document.getElementById('my-chrome-sidebar-btn');
+        if (button) button.style.display = 'flex';
+        saveSidebarState(false);
+    }
+    if (!sidebarWrapper) return;
+
+    const shadowColor = getConfig('styling.shadowColor', 'rgba(0,0,0,0.25)');
+    sidebarWrapper.style.boxShadow = `-5px 0 25px ${shadowColor}`;
+    Object.assign(document.getElementById('my-chrome-sidebar').style, {
+        background: getConfig('styling.backgroundColor', '#fff'),
+        boxShadow: `-2px 0 5px ${shadowColor}`
     });
+    document.getElementById('my-chrome-sidebar-header').style.background = getConfig('styling.primaryColor', '#1976d2');
+    document.getElementById('my-chrome-sidebar-title').textContent = getConfig('sidebar.title', 'Custom Sidebar');
+    renderProfileSwitcher(document.getElementById('my-chrome-sidebar-profile'));
+
+    if (changed('sidebar.defaultWidth')) {
+        const width = getConfig('sidebar.defaultWidth', '400px');
+        const wasOpen = isSidebarOpen();
+        sidebarWrapper.style.width = width;
+        if (!wasOpen) sidebarWrapper.style.right = '-' + width;
+    }
+
+    // Loading another app reloads the iframe; other behavior settings apply to the
+    // next sidebar that is created
+    if (changed('sidebar.iframeSrc')) {
+        sidebarConnection.loadedAt = null;
+        sidebarConnection.lastMessageAt = null;
+        pendingIframeMessages.length = 0;
+        document.getElementById('sidebar-container-nordcraft').src = getConfig('sidebar.iframeSrc');
+        // Remember the profile now shown in this tab
+        saveSidebarState(isSidebarOpen());
+    }
+}
+
+// Live-update every open tab when the options page saves settings or profiles,
+// or another profile is picked with the header switcher
+function handleStorageChange(changes, areaName) {
+    if (!extensionConfig) return;
+    if ((areaName === 'sync' && (changes[SETTINGS_STORAGE_KEY] || changes[PROFILES_STORAGE_KEY])) ||
+        (areaName === 'local' && changes[SITE_PROFILE_CHOICES_KEY])) {
+        tabProfileId = null;
+        reloadExtensionConfig();
+    }
 }
 
-// Check if we should auto-restore sidebar on page load
-function checkAndRestoreSidebar() {
+// Check if we should auto-restore sidebar on page load, given this tab's stored state
+function checkAndRestoreSidebar(state) {
     // Add a short delay to ensure the page has fully loaded
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(restoreSidebarState, 100);
+            setTimeout(() => restoreSidebarState(state), 100);
         });
     } else {
-        setTimeout(restoreSidebarState, 100);
+        setTimeout(() => restoreSidebarState(state), 100);
     }
 }
 
-// Initialize the sidebar toggle button and restore state
+// Whether initializeExtension() has activated the extension on this page
+let extensionActive = false;
+
+// Install the listeners for the iframe bridge, the extension and settings changes
+function installMessageListeners() {
+    window.addEventListener('message', handleIframeMessage);
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+    chrome.storage.onChanged.addListener(handleStorageChange);
+}
+
+// Initialize the sidebar toggle button and restore state. Runs on page load and again
+// when the user activates the extension on this tab from the popup.
 async function initializeExtension() {
-    // Load configuration first
+    if (extensionActive) return;
+    
+    // Check the site access rules before installing any UI or listeners, so excluded
+    // pages are left completely untouched (see src/utils/site-settings.js)
+    const access = await getSiteAccessDecision(window.location.href, {
+        activatedByClick: window.codelutionActivatedByClick === true
+    });
+    if (!access.allowed || extensionActive) return;
+    extensionActive = true;
+    siteEnabled = true;
+    
+    // Load configuration first, with the profile this tab showed before a reload
     await loadExtensionConfig();
+    currentTabId = await loadTabId();
+    const tabState = await loadSidebarTabState();
+    await restoreTabProfile(tabState);
+    installMessageListeners();
+    notifyReadUrl();
     
     // Initialize URL change detection for SPAs
     initializeUrlDetection();
     
     // Then initialize sidebar functionality
     addSidebarToggleButton();
-    checkAndRestoreSidebar();
+    checkAndRestoreSidebar(tabState);
+    
+    // Continue a macro replay that was interrupted by a page load
+    resumePendingMacroReplay();
 }
 
 // Start initialization
@@ -0,0 +1,94 @@
+/**
+ * Command Auditing
+ * This file records what the sidebar app (and the popup) did to the page in the audit
+ * log (see src/utils/audit-log.js). Every command needing a sensitive capability is
+ * logged once it finished or failed, with the before/after values of the elements it
+ * changed. Entries are sent to the background script, which stores them.
+ */
+
+// Logged in place of password fields and other sensitive values
+const MASKED_AUDIT_VALUE = '********';
+
+// Value an action changes on an element, read before and after it runs. Password
+// fields are never logged in clear text.
+function readAuditValue(el, action) {
+    switch (action) {
+        case 'setText':
+            return truncateAuditValue(el.textContent);
+        case 'setHTML':
+        case 'appendHTML':
+        case 'prependHTML':
+            return truncateAuditValue(el.innerHTML);
+        case 'setStyle':
+            return truncateAuditValue(el.getAttribute('style'));
+        case 'addClass':
+        case 'removeClass':
+        case 'toggleClass':
+            return truncateAuditValue(el.getAttribute('class'));
+        case 'setInputValue':
+            return el.type === 'password' ? MASKED_AUDIT_VALUE : truncateAuditValue(el.value);
+        case 'removeElement':
+            return el.isConnected ? truncateAuditValue(el.outerHTML) : null;
+        default:
+            return null;
+    }
+}
+
+// Command-specific fields worth keeping (never page content or image data)
+function getAuditDetails(message, result) {
+    if (message.type === 'injectWebComponent' || message.action === 'injectWebComponent') {
+        return { src: message.src, name: message.name, placement: message.placement || 'append' };
+    }
+    if (result && result.dataUrl) {
+        return { mode: result.mode, format: result.format, width: result.width, height: result.height };
+    }
+    if (message.type === 'fill-form' && result) {
+        return { mappingId: result.mappingId, filled: result.filled.length, skipped: result.skipped.length };
+    }
+    if (message.macroId || message.runId) {
+        const details = { macroId: message.macroId || null, runId: message.runId || null };
+        if (Number.isInteger(message.stepIndex)) details.stepIndex = message.stepIndex;
+        return details;
+    }
+    if (message.trusted === true) {
+        return { trusted: true };
+    }
+    return null;
+}
+
+// Log a finished command when it needed a sensitive capability.
+// `source` is "iframe" (postMessage bridge), "sidebar" (the side panel page), "popup",
+// "routed" (iframe command from another tab, see handleRoutedCommand) or "macro" (a
+// replayed step, see auditMacroStep). With `message.sensitive`, changed values are masked.
+function auditCommand(message, capabilities, source, result, error) {
+    if (!capabilities.some(capability => SENSITIVE_CAPABILITIES.includes(capability))) return;
+
+    const changeSet = result && result.changeId ? domChangeSets.get(result.changeId) : null;
+    const entry = {
+        id: 'audit-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+        timestamp: Date.now(),
+        url: window.location.href,
+        title: document.title,
+        profileId: activeProfile ? activeProfile.id : null,
+        profileName: activeProfile ? activeProfile.name : null,
+        source,
+        command: message.type,
+        action: message.action || null,
+        selector: message.selector !== undefined ? message.selector : null,
+        ok: !error,
+        error: error ? serializeCommandError(error) : null,
+        changes: changeSet ? changeSet.changes.map(change => ({
+            selector: change.selector,
+            before: message.sensitive === true && change.before !== null ? MASKED_AUDIT_VALUE : change.before,
+            after: message.sensitive === true && change.after !== null ? MASKED_AUDIT_VALUE : change.after
+        })) : [],
+        details: getAuditDetails(message, result)
+    };
+
+    try {
+        const sending = chrome.runtime.sendMessage({ action: 'recordAudit', entry });
+        if (sending && sending.catch) sending.catch(() => {});
+    } catch (e) {
+        // Extension reloaded: the page can no longer reach the background script
+    }
+}
@@ -0,0 +1,534 @@
+/**
+ * Form Autofill
+ * This file implements the fill-form command: a data object is written into the
+ * fields of a form. A mapping says how to find the field for a data key (by name,
+ * label text, placeholder or selector); keys without one are matched against field
+ * names, ids, labels, placeholders and autocomplete hints. Values are set the way
+ * typing would set them, through the native value setter so React and other frameworks
+ * that track the value see the change; selects, checkboxes, radio groups, date inputs
+ * and contenteditable editors get their own handling. Mappings can be saved per site
+ * (domain pattern) and are picked up again on matching pages.
+ */
+
+// ----------------------------------------------------------------------------------
+// Mapping Storage
+// ----------------------------------------------------------------------------------
+
+// chrome.storage.local key holding saved form mappings, keyed by mapping id
+const FORM_MAPPINGS_STORAGE_KEY = 'formMappings';
+
+// Ways a mapping entry can locate a field; a string is short for { selector }
+const FIELD_LOCATOR_KEYS = ['selector', 'name', 'label', 'placeholder'];
+
+// Load all saved mappings
+async function loadSavedFormMappings() {
+    const result = await chrome.storage.local.get(FORM_MAPPINGS_STORAGE_KEY);
+    return result[FORM_MAPPINGS_STORAGE_KEY] || {};
+}
+
+// Locator object for a mapping entry
+function normalizeFieldLocator(locator) {
+    return typeof locator === 'string' ? { selector: locator } : (locator || {});
+}
+
+// Throw INVALID_REQUEST for mappings that cannot be used
+function validateFormMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || !mapping.fields || typeof mapping.fields !== 'object') {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'A form mapping needs a fields object');
+    }
+    Object.keys(mapping.fields).forEach(key => {
+        const locator = normalizeFieldLocator(mapping.fields[key]);
+        if (!FIELD_LOCATOR_KEYS.some(name => typeof locator[name] === 'string' && locator[name].trim())) {
+            throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST,
+                `Field ${key} needs one of: ${FIELD_LOCATOR_KEYS.join(', ')}`);
+        }
+    });
+    if (mapping.domainPattern !== undefined && !isValidUrlPattern(mapping.domainPattern)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Invalid domain pattern: ${mapping.domainPattern}`);
+    }
+}
+
+// Validate and store a mapping, generating an id when it has none. Mappings without
+// a domain pattern are saved for this site.
+async function saveFormMapping(mapping) {
+    validateFormMapping(mapping);
+
+    const mappings = await loadSavedFormMappings();
+    const id = mapping.id || 'mapping-' + Date.now();
+    mappings[id] = Object.assign({}, mapping, {
+        id,
+        domainPattern: mapping.domainPattern || window.location.hostname,
+        updatedAt: Date.now()
+    });
+    await chrome.storage.local.set({ [FORM_MAPPINGS_STORAGE_KEY]: mappings });
+    return { id };
+}
+
+// Delete a saved mapping by id
+async function deleteFormMapping(mappingId) {
+    const mappings = await loadSavedFormMappings();
+    if (!mappings[mappingId]) {
+        throw createCommandError(COMMAND_ERRORS.MAPPING_NOT_FOUND, `No form mapping found: ${mappingId}`);
+    }
+    delete mappings[mappingId];
+    await chrome.storage.local.set({ [FORM_MAPPINGS_STORAGE_KEY]: mappings });
+    return { id: mappingId };
+}
+
+// List saved mappings, flagging those whose domain pattern matches this page
+async function listFormMappings(onlyMatching) {
+    const mappings = Object.values(await loadSavedFormMappings()).map(mapping => Object.assign({}, mapping, {
+        matchesCurrentPage: !mapping.domainPattern || matchesUrlPattern(window.location.href, mapping.domainPattern)
+    }));
+    return onlyMatching ? mappings.filter(mapping => mapping.matchesCurrentPage) : mappings;
+}
+
+// ----------------------------------------------------------------------------------
+// Field Lookup
+// ----------------------------------------------------------------------------------
+
+// Elements that can hold a value
+const FILLABLE_FIELD_SELECTOR = 'input, textarea, select, [contenteditable=""], [contenteditable="true"], [contenteditable="plaintext-only"]';
+
+// Input types that are not filled (buttons, files, hidden state)
+const UNFILLABLE_INPUT_TYPES = ['hidden', 'submit', 'button', 'image', 'reset', 'file'];
+
+// Lowercase text with collapsed whitespace and without trailing ":" or "*" marks
+function normalizeFieldText(text) {
+    return String(text || '').replace(/\s+/g, ' ').replace(/[\s:*]+$/, '').trim().toLowerCase();
+}
+
+// Text reduced to letters and digits, so "firstName", "first_name" and "First name" compare equal
+function compactFieldText(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Whether an element is a field fill-form can write to
+function isFillableField(el) {
+    if (el.closest(EXTENSION_UI_SELECTOR)) return false;
+    if (el.tagName === 'INPUT') return !UNFILLABLE_INPUT_TYPES.includes(el.type);
+    return el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable;
+}
+
+// The fillable fields below a root
+function getFillableFields(root) {
+    return Array.from(root.querySelectorAll(FILLABLE_FIELD_SELECTOR)).filter(isFillableField);
+}
+
+// Visible label of a field: its <label> elements, aria-labelledby or aria-label
+function getFieldLabelText(el) {
+    const texts = [];
+    if (el.labels) {
+        Array.from(el.labels).forEach(label => texts.push(label.textContent));
+    }
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        labelledBy.split(/\s+/).forEach(id => {
+            const label = el.ownerDocument.getElementById(id);
+            if (label) texts.push(label.textContent);
+        });
+    }
+    if (el.getAttribute('aria-label')) texts.push(el.getAttribute('aria-label'));
+    return texts.map(normalizeFieldText).filter(Boolean);
+}
+
+// Fields whose text (from `getTexts`) equals the wanted text, or else contains it
+function matchFieldsByText(fields, wanted, getTexts) {
+    const target = normalizeFieldText(wanted);
+    const exact = fields.filter(el => getTexts(el).some(text => text === target));
+    return exact.length > 0 ? exact : fields.filter(el => getTexts(el).some(text => text.includes(target)));
+}
+
+// Find the fields a mapping entry points at
+function findFieldsByLocator(locator, root, fields) {
+    if (locator.selector) {
+        try {
+            return queryElements(locator.selector, { root, all: true }).filter(isFillableField);
+        } catch (error) {
+            if (error.code === COMMAND_ERRORS.ELEMENT_NOT_FOUND) return [];
+            throw error;
+        }
+    }
+    if (locator.name) {
+        return fields.filter(el => el.getAttribute('name') === locator.name);
+    }
+    if (locator.label) {
+        return matchFieldsByText(fields, locator.label, getFieldLabelText);
+    }
+    if (locator.placeholder) {
+        return matchFieldsByText(fields, locator.placeholder, el => [normalizeFieldText(el.getAttribute('placeholder'))]);
+    }
+    return [];
+}
+
+// Find the field for a data key without a mapping entry: a visible field whose name,
+// id, label, placeholder or autocomplete hint equals the key (ignoring case and
+// punctuation). Hidden fields are left alone, as they are often bot traps.
+function findFieldsByKey(key, fields) {
+    const target = compactFieldText(key);
+    if (!target) return [];
+    return fields.filter(el => {
+        if (el.type !== 'radio' && el.type !== 'checkbox' && !isElementVisible(el)) return false;
+        const texts = [
+            el.getAttribute('name'),
+            el.id,
+            el.getAttribute('placeholder'),
+            el.getAttribute('autocomplete')
+        ].concat(getFieldLabelText(el));
+        return texts.some(text => compactFieldText(text) === target);
+    });
+}
+
+// The elements one data value goes to: a whole radio group, the checkboxes sharing a
+// name when the value is a list, otherwise the first match
+function resolveFieldGroup(matches, value, root) {
+    const first = matches[0];
+    const grouped = first.type === 'radio' || (first.type === 'checkbox' && Array.isArray(value));
+    if (!grouped || !first.name) return [first];
+
+    const scope = first.form || root;
+    return Array.from(scope.querySelectorAll('input')).filter(el => el.type === first.type && el.name === first.name);
+}
+
+// ----------------------------------------------------------------------------------
+// Setting Values
+// ----------------------------------------------------------------------------------
+
+// Formats of the date and time input types, and how to build them from a Date
+const DATE_INPUT_FORMATS = {
+    date: { pattern: /^\d{4}-\d{2}-\d{2}$/, format: parts => `${parts.year}-${parts.month}-${parts.day}` },
+    'datetime-local': {
+        pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/,
+        format: parts => `${parts.year}-${parts.month}-${parts.day}T${parts.hours}:${parts.minutes}`
+    },
+    month: { pattern: /^\d{4}-\d{2}$/, format: parts => `${parts.year}-${parts.month}` },
+    time: { pattern: /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/, format: parts => `${parts.hours}:${parts.minutes}` },
+    week: { pattern: /^\d{4}-W\d{2}$/, format: null }
+};
+
+// Masked value of password fields in change records
+const MASKED_FIELD_VALUE = '********';
+
+// Set a value through the prototype's setter. Frameworks such as React replace the
+// element's own value property to track changes; going around it makes the following
+// input event register as a user edit.
+function setNativeFieldValue(el, property, value) {
+    let prototype = Object.getPrototypeOf(el);
+    while (prototype && !Object.prototype.hasOwnProperty.call(prototype, property)) {
+        prototype = Object.getPrototypeOf(prototype);
+    }
+    const descriptor = prototype ? Object.getOwnPropertyDescriptor(prototype, property) : null;
+    if (descriptor && descriptor.set) {
+        descriptor.set.call(el, value);
+    } else {
+        el[property] = value;
+    }
+}
+
+// Fire the events typing fires, so listeners and validators run
+function dispatchFieldEvents(el) {
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Value for a date or time input from a matching string, a Date or a timestamp;
+// null when it cannot be converted
+function toDateInputValue(type, value) {
+    const format = DATE_INPUT_FORMATS[type];
+    if (typeof value === 'string' && format.pattern.test(value.trim())) return value.trim();
+    if (type === 'time' && typeof value === 'string' && /^\d:\d{2}$/.test(value.trim())) return '0' + value.trim();
+    if (!format.format) return null;
+
+    const date = value instanceof Date ? value : new Date(value);
+    if ((typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Date)) || isNaN(date.getTime())) {
+        return null;
+    }
+    const pad = number => String(number).padStart(2, '0');
+    return format.format({
+        year: String(date.getFullYear()).padStart(4, '0'),
+        month: pad(date.getMonth() + 1),
+        day: pad(date.getDate()),
+        hours: pad(date.getHours()),
+        minutes: pad(date.getMinutes())
+    });
+}
+
+// Whether a value means "checked" for a single checkbox
+function isCheckedValue(value, el) {
+    if (typeof value === 'boolean') return value;
+    const text = normalizeFieldText(value);
+    if (['true', 'yes', 'on', '1', 'checked'].includes(text)) return true;
+    if (['false', 'no', 'off', '0', ''].includes(text)) return false;
+    return text === normalizeFieldText(el.value);
+}
+
+// Set checkboxes or radios to the given checked states. A click changes them like a
+// user would (frameworks listen for it); if the page cancels it, the state is set directly.
+function setCheckedStates(elements, states) {
+    elements.forEach((el, index) => {
+        if (el.checked === states[index]) return;
+        el.click();
+        if (el.checked !== states[index]) {
+            setNativeFieldValue(el, 'checked', states[index]);
+            dispatchFieldEvents(el);
+        }
+    });
+}
+
+// Whether a radio or checkbox stands for a value: by its value or its label
+function matchesChoice(el, value) {
+    const wanted = normalizeFieldText(value);
+    return normalizeFieldText(el.value) === wanted || getFieldLabelText(el).includes(wanted);
+}
+
+// Choose the options of a select matching the value (or values, for multiple selects)
+// by value or text. Returns false when an option cannot be found.
+function fillSelectField(el, value) {
+    const wanted = (Array.isArray(value) ? value : [value]).map(normalizeFieldText);
+    const options = Array.from(el.options);
+    const findOption = text => options.find(option => normalizeFieldText(option.value) === text) ||
+        options.find(option => normalizeFieldText(option.textContent) === text);
+
+    const chosen = wanted.map(findOption);
+    if (chosen.some(option => !option) || (!el.multiple && chosen.length !== 1)) return false;
+    if (el.multiple) {
+        options.forEach(option => {
+            option.selected = chosen.includes(option);
+        });
+    } else {
+        setNativeFieldValue(el, 'value', chosen[0].value);
+    }
+    dispatchFieldEvents(el);
+    return true;
+}
+
+// Replace the text of a contenteditable editor. insertText goes through the editor's
+// own input handling (ProseMirror, Draft.js, ...); plain elements get their text set.
+function fillContentEditable(el, text) {
+    const doc = el.ownerDocument;
+    el.focus();
+    const selection = doc.getSelection();
+    if (selection) {
+        const range = doc.createRange();
+        range.selectNodeContents(el);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+    const inserted = typeof doc.execCommand === 'function' && doc.execCommand('insertText', false, text);
+    if (!inserted) {
+        el.textContent = text;
+        el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+    }
+}
+
+// Value of a field for change records: the checked values of a group, the text of
+// other fields (password fields are masked)
+function readFieldValue(elements) {
+    const el = elements[0];
+    if (el.type === 'password') return MASKED_FIELD_VALUE;
+    if (el.type === 'checkbox' || el.type === 'radio') {
+        const checked = elements.filter(item => item.checked).map(item => item.value || 'on');
+        return checked.length > 0 ? truncateAuditValue(checked.join(', ')) : null;
+    }
+    if (el.tagName === 'SELECT' && el.multiple) {
+        return Array.from(el.selectedOptions).map(option => option.value).join(', ');
+    }
+    return truncateAuditValue(el.isContentEditable ? el.textContent : el.value);
+}
+
+// Capture the state of the elements a value goes to and return a function restoring it
+function snapshotFieldState(elements) {
+    const el = elements[0];
+    if (el.type === 'checkbox' || el.type === 'radio') {
+        const states = elements.map(item => item.checked);
+        return () => setCheckedStates(elements, states);
+    }
+    if (el.tagName === 'SELECT' && el.multiple) {
+        const selected = Array.from(el.options).map(option => option.selected);
+        return () => {
+            Array.from(el.options).forEach((option, index) => {
+                option.selected = selected[index];
+            });
+            dispatchFieldEvents(el);
+        };
+    }
+    if (el.isContentEditable) {
+        const html = el.innerHTML;
+        return () => {
+            el.innerHTML = html;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+        };
+    }
+    const value = el.value;
+    return () => {
+        setNativeFieldValue(el, 'value', value);
+        dispatchFieldEvents(el);
+    };
+}
+
+// Write one value into the elements of a field. Returns null once filled, or the
+// { reason, message } it was skipped for.
+function fillField(elements, value) {
+    const el = elements[0];
+    const type = el.tagName === 'INPUT' ? el.type : el.tagName.toLowerCase();
+
+    if (el.disabled) return { reason: 'disabled', message: 'The field is disabled' };
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        return { reason: 'invalid-value', message: 'Values must be strings, numbers, booleans, dates or lists' };
+    }
+
+    if (type === 'checkbox' && elements.length > 1) {
+        const wanted = [].concat(value);
+        setCheckedStates(elements, elements.map(item => wanted.some(choice => matchesChoice(item, choice))));
+        return null;
+    }
+    if (type === 'checkbox') {
+        setCheckedStates(elements, [isCheckedValue(value, el)]);
+        return null;
+    }
+    if (type === 'radio') {
+        const choice = elements.find(item => matchesChoice(item, value));
+        if (!choice) return { reason: 'no-matching-option', message: `No option matches ${value}` };
+        setCheckedStates([choice], [true]);
+        return null;
+    }
+    if (type === 'select') {
+        return fillSelectField(el, value) ? null : { reason: 'no-matching-option', message: `No option matches ${value}` };
+    }
+
+    if (el.readOnly) return { reason: 'read-only', message: 'The field is read-only' };
+    if (Array.isArray(value)) return { reason: 'invalid-value', message: 'Lists only fit multiple selects and checkboxes' };
+
+    if (el.isContentEditable) {
+        fillContentEditable(el, String(value));
+        return null;
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (DATE_INPUT_FORMATS[type]) {
+        text = toDateInputValue(type, value);
+        if (text === null) return { reason: 'invalid-value', message: `Not a valid ${type} value: ${value}` };
+    }
+    el.focus();
+    setNativeFieldValue(el, 'value', text);
+    dispatchFieldEvents(el);
+    el.blur();
+    return null;
+}
+
+// ----------------------------------------------------------------------------------
+// fill-form Command
+// ----------------------------------------------------------------------------------
+
+// The mapping for a fill-form message: inline, saved by id, or the first saved one
+// whose domain pattern matches this page (none is fine: keys are then matched directly)
+async function resolveFormMapping(message) {
+    if (message.mapping) {
+        const mapping = { fields: message.mapping };
+        validateFormMapping(mapping);
+        return mapping;
+    }
+    const mappings = await loadSavedFormMappings();
+    if (message.mappingId) {
+        if (!mappings[message.mappingId]) {
+            throw createCommandError(COMMAND_ERRORS.MAPPING_NOT_FOUND, `No form mapping found: ${message.mappingId}`);
+        }
+        return mappings[message.mappingId];
+    }
+    return Object.values(mappings).find(saved => saved.domainPattern &&
+        matchesUrlPattern(window.location.href, saved.domainPattern)) || { fields: {} };
+}
+
+// Locator to save for a field that was found: its name when it has one, else a selector
+function describeFieldLocator(el) {
+    return el.getAttribute('name') ? { name: el.getAttribute('name') } : { selector: buildStableSelector(el) };
+}
+
+// Handler for fill-form: fills `data` into the form (or the page), reports what was
+// filled and skipped, records the changes for undo-dom-changes and with `save`
+// stores the mapping that was used for this site. Every field is looked up before the
+// first one is written, and a failure while writing or saving rolls back what was filled.
+async function handleFillForm(message) {
+    const mapping = await resolveFormMapping(message);
+    if (message.save === true && message.domainPattern !== undefined && !isValidUrlPattern(message.domainPattern)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Invalid domain pattern: ${message.domainPattern}`);
+    }
+    const formSelector = message.form || mapping.form;
+    const root = formSelector ? queryElement(formSelector) : document;
+    const fields = getFillableFields(root);
+
+    const filled = [];
+    const skipped = [];
+    const changes = [];
+    const locators = {};
+    const used = new Set();
+
+    // Find the elements of every key first; locators may throw (e.g. INVALID_SELECTOR)
+    const targets = [];
+    Object.keys(message.data).forEach(key => {
+        const value = message.data[key];
+        if (value === undefined || value === null) {
+            skipped.push({ key, reason: 'no-value', message: 'No value given' });
+            return;
+        }
+
+        const locator = mapping.fields[key] ? normalizeFieldLocator(mapping.fields[key]) : null;
+        const matches = (locator ? findFieldsByLocator(locator, root, fields) : findFieldsByKey(key, fields))
+            .filter(el => locator || !used.has(el));
+        if (matches.length === 0) {
+            skipped.push({ key, reason: 'not-found', message: `No field found for ${key}` });
+            return;
+        }
+
+        const elements = resolveFieldGroup(matches, value, root);
+        elements.forEach(el => used.add(el));
+        targets.push({ key, value, locator, elements });
+    });
+
+    let mappingId = mapping.id || null;
+    try {
+        targets.forEach(({ key, value, locator, elements }) => {
+            const selector = buildStableSelector(elements[0]);
+            const restore = snapshotFieldState(elements);
+            const before = readFieldValue(elements);
+            let skip;
+            try {
+                skip = fillField(elements, value);
+            } catch (error) {
+                // Undo this field too, it may be partly written
+                restore();
+                throw error;
+            }
+            if (skip) {
+                skipped.push(Object.assign({ key, selector }, skip));
+                return;
+            }
+
+            locators[key] = locator || describeFieldLocator(elements[0]);
+            const type = elements[0].tagName === 'INPUT' ? elements[0].type : elements[0].tagName.toLowerCase();
+            filled.push({ key, selector, type });
+            changes.push({ selector, action: 'fillForm', restore, reversible: true, before, after: readFieldValue(elements) });
+        });
+
+        if (message.save === true && filled.length > 0) {
+            const saved = await saveFormMapping({
+                id: mapping.id,
+                name: message.name || mapping.name,
+                domainPattern: message.domainPattern || mapping.domainPattern,
+                form: formSelector,
+                fields: Object.assign({}, mapping.fields, locators)
+            });
+            mappingId = saved.id;
+        }
+    } catch (error) {
+        rollbackChanges(changes);
+        throw error;
+    }
+
+    return {
+        changeId: changes.length > 0 ? recordDomChangeSet(changes) : null,
+        mappingId,
+        filled,
+        skipped
+    };
+}
@@ -0,0 +1,260 @@
+/**
+ * Structured Page Extraction
+ * This file implements the extract-page command. It turns the current page into
+ * structured JSON (metadata, headings, tables, links, images and forms) so the
+ * Nordcraft iframe does not have to parse raw text.
+ */
+
+// ----------------------------------------------------------------------------------
+// Section Registry
+// ----------------------------------------------------------------------------------
+
+// Sections that can be requested through the `sections` option, in output order
+const EXTRACT_SECTIONS = {
+    metadata: extractMetadata,
+    headings: extractHeadings,
+    tables: extractTables,
+    links: extractLinks,
+    images: extractImages,
+    forms: extractForms
+};
+
+// Default maximum number of entries per list section
+const DEFAULT_EXTRACT_LIMIT = 500;
+
+// Handler for the extract-page command
+function handleExtractPage(message) {
+    const requested = Array.isArray(message.sections) && message.sections.length > 0
+        ? message.sections
+        : Object.keys(EXTRACT_SECTIONS);
+
+    const unknown = requested.filter(section => !EXTRACT_SECTIONS[section]);
+    if (unknown.length > 0) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Unknown extract sections: ${unknown.join(', ')}`);
+    }
+
+    // Optionally scope the extraction to part of the page
+    const root = message.selector ? queryElement(message.selector) : document;
+    const limit = Number.isInteger(message.limit) && message.limit > 0 ? message.limit : DEFAULT_EXTRACT_LIMIT;
+
+    const result = {
+        url: window.location.href,
+        title: document.title
+    };
+    requested.forEach(section => {
+        result[section] = EXTRACT_SECTIONS[section](root, limit);
+    });
+    return result;
+}
+
+// ----------------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------------
+
+// Collapse whitespace in visible text
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Resolve a possibly relative URL against the current page
+function toAbsoluteUrl(url) {
+    if (!url) return null;
+    try {
+        return new URL(url, document.baseURI).href;
+    } catch (e) {
+        return url;
+    }
+}
+
+// Query within the extraction root, capped at `limit` elements
+function queryWithin(root, selector, limit) {
+    return Array.from(root.querySelectorAll(selector)).slice(0, limit);
+}
+
+// ----------------------------------------------------------------------------------
+// Section Extractors
+// ----------------------------------------------------------------------------------
+
+// Page metadata: standard meta tags, OpenGraph, Twitter cards and JSON-LD
+function extractMetadata() {
+    const metadata = {
+        title: document.title,
+        lang: document.documentElement.getAttribute('lang'),
+        canonical: null,
+        description: null,
+        meta: {},
+        openGraph: {},
+        twitter: {},
+        jsonLd: []
+    };
+
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical) metadata.canonical = toAbsoluteUrl(canonical.getAttribute('href'));
+
+    document.querySelectorAll('meta[content]').forEach(meta => {
+        const key = meta.getAttribute('property') || meta.getAttribute('name') || meta.getAttribute('itemprop');
+        if (!key) return;
+        const content = meta.getAttribute('content');
+
+        if (key.startsWith('og:')) {
+            metadata.openGraph[key.slice(3)] = content;
+        } else if (key.startsWith('twitter:')) {
+            metadata.twitter[key.slice(8)] = content;
+        } else {
+            metadata.meta[key] = content;
+        }
+    });
+    metadata.description = metadata.meta.description || metadata.openGraph.description || null;
+
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            metadata.jsonLd.push(JSON.parse(script.textContent));
+        } catch (e) {
+            metadata.jsonLd.push({ error: 'Invalid JSON-LD', raw: script.textContent.slice(0, 200) });
+        }
+    });
+
+    return metadata;
+}
+
+// Headings outline in document order
+function extractHeadings(root, limit) {
+    return queryWithin(root, 'h1, h2, h3, h4, h5, h6', limit).map(heading => ({
+        level: Number(heading.tagName.charAt(1)),
+        text: cleanText(heading.textContent),
+        id: heading.id || null
+    }));
+}
+
+// HTML tables as header and row/column arrays (colspan cells are repeated)
+function extractTables(root, limit) {
+    return queryWithin(root, 'table', limit).map((table, index) => {
+        const rows = Array.from(table.rows).map(row => {
+            const cells = [];
+            Array.from(row.cells).forEach(cell => {
+                const text = cleanText(cell.textContent);
+                for (let i = 0; i < (cell.colSpan || 1); i++) {
+                    cells.push(text);
+                }
+            });
+            const isHeader = row.parentNode.tagName === 'THEAD' ||
+                Array.from(row.cells).every(cell => cell.tagName === 'TH');
+            return { isHeader, cells };
+        });
+
+        // Use the first header row as column names
+        const headerRow = rows.find(row => row.isHeader);
+        const headers = headerRow ? headerRow.cells : [];
+        const bodyRows = rows.filter(row => row !== headerRow).map(row => row.cells);
+
+        return {
+            index,
+            id: table.id || null,
+            caption: table.caption ? cleanText(table.caption.textContent) : null,
+            headers,
+            rows: bodyRows,
+            records: headers.length > 0
+                ? bodyRows.map(cells => headers.reduce((record, header, column) => {
+                    record[header || `column${column}`] = cells[column] !== undefined ? cells[column] : null;
+                    return record;
+                }, {}))
+                : []
+        };
+    });
+}
+
+// Links with their text and absolute target
+function extractLinks(root, limit) {
+    return queryWithin(root, 'a[href]', limit).map(link => ({
+        text: cleanText(link.textContent) || link.getAttribute('aria-label') || link.title || '',
+        href: toAbsoluteUrl(link.getAttribute('href')),
+        rel: link.getAttribute('rel'),
+        target: link.getAttribute('target')
+    }));
+}
+
+// Images with alt text and rendered size
+function extractImages(root, limit) {
+    return queryWithin(root, 'img', limit).map(img => ({
+        src: img.currentSrc || toAbsoluteUrl(img.getAttribute('src')),
+        alt: img.getAttribute('alt'),
+        width: img.naturalWidth || img.width || null,
+        height: img.naturalHeight || img.height || null
+    }));
+}
+
+// Find the label text describing a form field
+function getFieldLabel(field) {
+    if (field.labels && field.labels.length > 0) {
+        return cleanText(field.labels[0].textContent);
+    }
+    const ariaLabel = field.getAttribute('aria-label');
+    if (ariaLabel) return ariaLabel;
+
+    const labelledBy = field.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const labelEl = document.getElementById(labelledBy);
+        if (labelEl) return cleanText(labelEl.textContent);
+    }
+    return null;
+}
+
+// Describe one input, select or textarea. Password values are never returned.
+function describeFormField(field) {
+    const type = field.tagName === 'INPUT' ? (field.getAttribute('type') || 'text').toLowerCase() : field.tagName.toLowerCase();
+    const description = {
+        tag: field.tagName.toLowerCase(),
+        type,
+        name: field.name || null,
+        id: field.id || null,
+        label: getFieldLabel(field),
+        placeholder: field.getAttribute('placeholder'),
+        required: field.required === true,
+        disabled: field.disabled === true
+    };
+
+    if (type === 'password') {
+        description.value = null;
+    } else if (type === 'checkbox' || type === 'radio') {
+        description.value = field.value;
+        description.checked = field.checked;
+    } else if (field.tagName === 'SELECT') {
+        description.value = field.value;
+        description.options = Array.from(field.options).map(option => ({
+            value: option.value,
+            text: cleanText(option.textContent),
+            selected: option.selected
+        }));
+    } else {
+        description.value = field.value;
+    }
+    return description;
+}
+
+// Forms and their field inventories; fields outside any form are grouped separately
+function extractForms(root, limit) {
+    const fieldSelector = 'input:not([type="hidden"]), select, textarea';
+
+    const forms = queryWithin(root, 'form', limit).map((form, index) => ({
+        index,
+        id: form.id || null,
+        name: form.getAttribute('name'),
+        action: form.getAttribute('action') ? toAbsoluteUrl(form.getAttribute('action')) : null,
+        method: (form.getAttribute('method') || 'get').toLowerCase(),
+        fields: Array.from(form.querySelectorAll(fieldSelector)).map(describeFormField)
+    }));
+
+    const looseFields = queryWithin(root, fieldSelector, limit).filter(field => !field.form);
+    if (looseFields.length > 0) {
+        forms.push({
+            index: forms.length,
+            id: null,
+            name: null,
+            action: null,
+            method: null,
+            standalone: true,
+            fields: looseFields.map(describeFormField)
+        });
+    }
+    return forms;
+}
@@ -0,0 +1,444 @@
+/**
+ * Automation Macros
+ * This file records the user's clicks and input on a page into a list of steps with
+ * robust selectors, stores macros in chrome.storage, and replays them with per-step
+ * waits and retries. Replays continue across SPA navigations and same-origin page
+ * loads (the background script keeps their state), and report progress to the
+ * sidebar iframe with macro-progress messages.
+ */
+
+// ----------------------------------------------------------------------------------
+// Configuration
+// ----------------------------------------------------------------------------------
+
+// chrome.storage.local key holding saved macros, keyed by macro id
+const MACROS_STORAGE_KEY = 'automationMacros';
+
+// Replay defaults
+const DEFAULT_MACRO_STEP_TIMEOUT = 10000;
+const DEFAULT_MACRO_RETRIES = 2;
+const DEFAULT_MACRO_RETRY_DELAY = 500;
+
+// Step actions a macro can contain
+const MACRO_STEP_ACTIONS = ['click', 'setInputValue', 'navigation', 'delay'];
+
+// Elements belonging to the extension UI are never recorded
+const EXTENSION_UI_SELECTOR = '#my-chrome-sidebar-wrapper, #my-chrome-sidebar-btn, #my-chrome-consent-dialog';
+
+// ----------------------------------------------------------------------------------
+// Recording
+// ----------------------------------------------------------------------------------
+
+// Current recording session, or null
+let macroRecording = null;
+
+// Get the element an event really started on, including inside shadow roots
+function getEventTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    const target = path.length > 0 ? path[0] : event.target;
+    return target && target.nodeType === Node.ELEMENT_NODE ? target : null;
+}
+
+// Check whether an element takes typed input (its clicks are not worth recording)
+function isTextEntryElement(el) {
+    if (el.isContentEditable) return true;
+    if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    if (el.tagName !== 'INPUT') return false;
+    const type = (el.getAttribute('type') || 'text').toLowerCase();
+    return !['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file'].includes(type);
+}
+
+// Record a click on the nearest interactive element
+function recordMacroClick(event) {
+    const target = getEventTarget(event);
+    if (!target || target.closest(EXTENSION_UI_SELECTOR) || isTextEntryElement(target)) return;
+
+    const el = target.closest('a, button, input, label, summary, select, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick]') || target;
+    macroRecording.steps.push({
+        action: 'click',
+        selector: buildStableSelector(el),
+        text: (el.textContent || el.value || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+        url: window.location.href
+    });
+}
+
+// Record the value of an input; consecutive edits of the same field become one step
+function recordMacroInput(event) {
+    const target = getEventTarget(event);
+    if (!target || target.closest(EXTENSION_UI_SELECTOR) || !('value' in target) || !isTextEntryElement(target)) return;
+
+    const selector = buildStableSelector(target);
+    const isPassword = target.type === 'password';
+    const step = {
+        action: 'setInputValue',
+        selector,
+        // Password values are never stored; supply them with `inputs` when replaying
+        value: isPassword ? null : target.value,
+        sensitive: isPassword,
+        url: window.location.href
+    };
+
+    const lastStep = macroRecording.steps[macroRecording.steps.length - 1];
+    if (lastStep && lastStep.action === 'setInputValue' && lastStep.selector === selector) {
+        macroRecording.steps[macroRecording.steps.length - 1] = step;
+    } else {
+        macroRecording.steps.push(step);
+    }
+}
+
+// Start listening to the user's clicks and input
+function startMacroRecording(name) {
+    if (macroRecording) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'A macro is already being recorded');
+    }
+
+    macroRecording = {
+        name: name || 'Macro ' + new Date().toLocaleString(),
+        startUrl: window.location.href,
+        startedAt: Date.now(),
+        steps: []
+    };
+    document.addEventListener('click', recordMacroClick, true);
+    document.addEventListener('input', recordMacroInput, true);
+    document.addEventListener('change', recordMacroInput, true);
+
+    return { recording: true, name: macroRecording.name, startUrl: macroRecording.startUrl };
+}
+
+// Stop recording and optionally save the result
+async function stopMacroRecording(save = true, name) {
+    if (!macroRecording) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'No macro is being recorded');
+    }
+
+    document.removeEventListener('click', recordMacroClick, true);
+    document.removeEventListener('input', recordMacroInput, true);
+    document.removeEventListener('change', recordMacroInput, true);
+
+    const macro = {
+        name: name || macroRecording.name,
+        startUrl: macroRecording.startUrl,
+        steps: macroRecording.steps,
+        createdAt: macroRecording.startedAt
+    };
+    macroRecording = null;
+
+    if (save) {
+        const { id } = await saveMacro(macro);
+        macro.id = id;
+    }
+    return macro;
+}
+
+// Current recording status and the steps captured so far
+function getMacroRecording() {
+    if (!macroRecording) return { recording: false };
+    return {
+        recording: true,
+        name: macroRecording.name,
+        startUrl: macroRecording.startUrl,
+        steps: macroRecording.steps
+    };
+}
+
+// Record SPA navigations as steps so replays wait for them (called from notifyUrlChange)
+function handleMacroUrlChange(newUrl) {
+    if (macroRecording) {
+        macroRecording.steps.push({ action: 'navigation', url: newUrl });
+    }
+}
+
+// ----------------------------------------------------------------------------------
+// Storage
+// ----------------------------------------------------------------------------------
+
+// Load all saved macros
+async function loadSavedMacros() {
+    const result = await chrome.storage.local.get(MACROS_STORAGE_KEY);
+    return result[MACROS_STORAGE_KEY] || {};
+}
+
+// Throw INVALID_REQUEST for macros that cannot be replayed
+function validateMacro(macro) {
+    if (!macro || !Array.isArray(macro.steps)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'A macro needs a steps array');
+    }
+    macro.steps.forEach((step, index) => {
+        if (!step || !MACRO_STEP_ACTIONS.includes(step.action)) {
+            throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Step ${index} has an unknown action: ${step && step.action}`);
+        }
+    });
+}
+
+// Validate and store a macro, generating an id when it has none
+async function saveMacro(macro) {
+    validateMacro(macro);
+    const macros = await loadSavedMacros();
+    const id = macro.id || 'macro-' + Date.now();
+    macros[id] = Object.assign({}, macro, { id, updatedAt: Date.now() });
+    await chrome.storage.local.set({ [MACROS_STORAGE_KEY]: macros });
+    return { id };
+}
+
+// Delete a saved macro by id
+async function deleteMacro(macroId) {
+    const macros = await loadSavedMacros();
+    if (!macros[macroId]) {
+        throw createCommandError(COMMAND_ERRORS.MACRO_NOT_FOUND, `No macro found: ${macroId}`);
+    }
+    delete macros[macroId];
+    await chrome.storage.local.set({ [MACROS_STORAGE_KEY]: macros });
+    return { id: macroId };
+}
+
+// List saved macros without their steps
+async function listMacros() {
+    return Object.values(await loadSavedMacros()).map(macro => ({
+        id: macro.id,
+        name: macro.name,
+        startUrl: macro.startUrl,
+        steps: macro.steps.length,
+        updatedAt: macro.updatedAt
+    }));
+}
+
+// ----------------------------------------------------------------------------------
+// Replay
+// ----------------------------------------------------------------------------------
+
+// Running replays keyed by runId
+const macroRuns = new Map();
+let macroRunCounter = 0;
+
+// Resolve after a delay
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Send a progress event for a replay to the sidebar iframe (of the tab that started it)
+function notifyMacroProgress(run, status, extra) {
+    (run.postEvent || postToIframe)(Object.assign({
+        type: 'macro-progress',
+        runId: run.runId,
+        macroId: run.macro.id || null,
+        total: run.macro.steps.length,
+        status
+    }, extra));
+}
+
+// Remember where a replay is, so it can continue after a same-origin page load. The
+// background script keeps the state for this tab, out of the page's reach; `inputs`
+// (passwords and other values supplied to play-macro) are never persisted.
+function persistMacroReplay(run, nextStep) {
+    const replay = {
+        runId: run.runId,
+        macro: run.macro,
+        routedFromTabId: run.routedFromTabId,
+        options: {
+            stepTimeout: run.options.stepTimeout,
+            retries: run.options.retries,
+            retryDelay: run.options.retryDelay
+        },
+        nextStep
+    };
+    try {
+        chrome.runtime.sendMessage({ action: 'saveMacroReplay', replay }, () => void chrome.runtime.lastError);
+    } catch (e) {
+        // Extension reloaded: the replay stops at the next full page load
+    }
+}
+
+// Forget the persisted replay state
+function clearMacroReplay() {
+    try {
+        chrome.runtime.sendMessage({ action: 'takeMacroReplay' }, () => void chrome.runtime.lastError);
+    } catch (e) {
+        // Nothing to clear
+    }
+}
+
+// Take the replay this tab was in the middle of from the background script (null when
+// there is none, or it was started on another origin)
+function takePendingMacroReplay() {
+    return new Promise((resolve) => {
+        try {
+            chrome.runtime.sendMessage({ action: 'takeMacroReplay' }, (response) => {
+                resolve(chrome.runtime.lastError || !response ? null : response.replay);
+            });
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+// Execute one step once
+async function runMacroStep(step, index, run) {
+    const timeout = run.options.stepTimeout;
+
+    // Optional extra condition recorded or added by hand
+    if (step.waitFor) {
+        await waitFor(Object.assign({ timeout }, step.waitFor));
+    }
+
+    switch (step.action) {
+        case 'delay':
+            await sleep(step.ms || 0);
+            return;
+        case 'navigation':
+            await waitForCondition(() => window.location.href === step.url, {
+                timeout,
+                label: `navigation to ${step.url}`,
+                details: { url: step.url }
+            });
+            return;
+        case 'click':
+            await waitFor({ selector: step.selector, condition: 'visible', timeout });
+            return handleDomManipulation(step.selector, 'click');
+        case 'setInputValue': {
+            const value = run.options.inputs && run.options.inputs[index] !== undefined ? run.options.inputs[index] : step.value;
+            if (value === null || value === undefined) {
+                throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Step ${index} needs a value in inputs[${index}]`);
+            }
+            await waitFor({ selector: step.selector, timeout });
+            return handleDomManipulation(step.selector, 'setInputValue', value);
+        }
+    }
+}
+
+// Log a replayed click or input fill in the audit log (see auditCommand). Values of
+// recorded password steps and values from `inputs` are masked.
+function auditMacroStep(run, step, index, result, error) {
+    if (step.action !== 'click' && step.action !== 'setInputValue') return;
+    const message = {
+        type: 'macro-step',
+        action: step.action,
+        selector: step.selector,
+        macroId: run.macro.id || null,
+        runId: run.runId,
+        stepIndex: index,
+        sensitive: step.sensitive === true || run.options.inputs[index] !== undefined
+    };
+    auditCommand(message, ['automation'], 'macro', result, error);
+}
+
+// Run the steps of a replay from `startAt`, retrying failed steps
+async function executeMacroRun(run, startAt) {
+    const steps = run.macro.steps;
+    notifyMacroProgress(run, 'running', { stepIndex: startAt });
+
+    for (let index = startAt; index < steps.length; index++) {
+        if (run.cancelled) {
+            clearMacroReplay();
+            notifyMacroProgress(run, 'cancelled', { stepIndex: index });
+            return;
+        }
+
+        // Persist before acting: a click may unload the page
+        persistMacroReplay(run, index + 1);
+
+        let lastError = null;
+        let result = null;
+        for (let attempt = 0; attempt <= run.options.retries; attempt++) {
+            try {
+                result = await runMacroStep(steps[index], index, run);
+                lastError = null;
+                break;
+            } catch (error) {
+                lastError = error;
+                // Input errors will not fix themselves by retrying
+                if (error.code === COMMAND_ERRORS.INVALID_REQUEST) break;
+                if (attempt < run.options.retries) {
+                    notifyMacroProgress(run, 'step-retry', { stepIndex: index, attempt: attempt + 1, error: serializeCommandError(error) });
+                    await sleep(run.options.retryDelay);
+                }
+            }
+        }
+
+        auditMacroStep(run, steps[index], index, result, lastError);
+
+        if (lastError) {
+            clearMacroReplay();
+            macroRuns.delete(run.runId);
+            notifyMacroProgress(run, 'failed', { stepIndex: index, step: steps[index], error: serializeCommandError(lastError) });
+            return;
+        }
+        notifyMacroProgress(run, 'step-done', { stepIndex: index, action: steps[index].action });
+    }
+
+    clearMacroReplay();
+    macroRuns.delete(run.runId);
+    notifyMacroProgress(run, 'completed', { stepIndex: steps.length });
+}
+
+// Handler for play-macro: starts a replay and returns its runId right away;
+// progress arrives as macro-progress messages
+async function handlePlayMacro(message) {
+    let macro = message.macro;
+    if (!macro) {
+        const macros = await loadSavedMacros();
+        macro = macros[message.macroId];
+        if (!macro) {
+            throw createCommandError(COMMAND_ERRORS.MACRO_NOT_FOUND, `No macro found: ${message.macroId}`);
+        }
+    }
+    validateMacro(macro);
+
+    const run = {
+        runId: 'run-' + Date.now() + '-' + (++macroRunCounter),
+        macro,
+        cancelled: false,
+        routedFromTabId: message.routedFromTabId,
+        postEvent: getEventSink(message),
+        options: {
+            stepTimeout: message.stepTimeout || DEFAULT_MACRO_STEP_TIMEOUT,
+            retries: Number.isInteger(message.retries) ? message.retries : DEFAULT_MACRO_RETRIES,
+            retryDelay: message.retryDelay || DEFAULT_MACRO_RETRY_DELAY,
+            inputs: message.inputs || {}
+        }
+    };
+    macroRuns.set(run.runId, run);
+    executeMacroRun(run, Number.isInteger(message.startAt) ? message.startAt : 0);
+
+    return { runId: run.runId, total: macro.steps.length };
+}
+
+// Cancel a running replay before its next step
+function cancelMacroRun(runId) {
+    const run = macroRuns.get(runId);
+    if (!run) {
+        throw createCommandError(COMMAND_ERRORS.MACRO_NOT_FOUND, `No running macro: ${runId}`);
+    }
+    run.cancelled = true;
+    macroRuns.delete(runId);
+    // A click of the current step may load another page; it must not resume the run
+    clearMacroReplay();
+    return { runId, status: 'cancelling' };
+}
+
+// Continue a replay interrupted by a same-origin page load (called on initialization).
+// The active app must still be allowed to automate this site; values from `inputs`
+// do not survive the page load, so steps needing them fail.
+async function resumePendingMacroReplay() {
+    const pending = await takePendingMacroReplay();
+    if (!pending || !pending.macro) return;
+
+    const run = {
+        runId: pending.runId,
+        macro: pending.macro,
+        cancelled: false,
+        routedFromTabId: pending.routedFromTabId,
+        // Progress goes to the app that started the replay: this tab's, or the routing tab's
+        postEvent: getEventSink({ routedFromTabId: pending.routedFromTabId }),
+        options: Object.assign({}, pending.options, { inputs: {} })
+    };
+    if (!(await getGrantedCapabilities()).includes('automation')) {
+        const reason = getDeclaredCapabilities().includes('automation') ? 'denied' : 'not-declared';
+        notifyMacroProgress(run, 'failed', {
+            stepIndex: pending.nextStep,
+            error: serializeCommandError(createPermissionError('automation', reason))
+        });
+        return;
+    }
+    macroRuns.set(run.runId, run);
+    executeMacroRun(run, pending.nextStep);
+}
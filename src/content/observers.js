@@ -0,0 +1,573 @@
+/**
+ * DOM Observer Registry
+ * This file manages the observers started by start-dom-observer / observeDomValue.
+ * Every observer is stored by watchId so it can be listed, paused, resumed and
+ * stopped, and it is reattached automatically when its target is re-rendered or
+ * appears again after an SPA navigation, including inside the shadow roots and
+ * same-origin iframes a `>>>` selector passes through.
+ *
+ * Observers either listen for a DOM event (`eventType`, e.g. "input") or watch
+ * mutations of the kinds listed in `watch` and report them as diffs.
+ */
+
+// ----------------------------------------------------------------------------------
+// Registry
+// ----------------------------------------------------------------------------------
+
+// Active observers keyed by watchId
+const domObservers = new Map();
+let domObserverCounter = 0;
+
+// Delay before re-checking observer targets after the page changed
+const OBSERVER_REATTACH_DELAY = 150;
+
+// Mutation kinds an observer can watch
+const WATCH_KINDS = ['attributes', 'text', 'children', 'presence'];
+
+// Properties read from the element itself rather than from an attribute
+const NON_ATTRIBUTE_VALUES = ['innerText', 'textContent', 'innerHTML', 'outerHTML', 'value', 'checked'];
+
+// Document-wide watcher used to notice re-rendered or newly added targets
+let observerTargetWatcher = null;
+let observerRefreshTimer = null;
+
+// Start (or replace) an observer. `notify` receives the domValueChanged and
+// domObserverStatus messages for it, so each caller decides where they go.
+function startDomObserver(config, notify) {
+    const watchId = config.watchId || 'watch-' + Date.now() + '-' + (++domObserverCounter);
+
+    const attribute = config.attribute || 'innerText';
+
+    // "DOMSubtreeModified" is accepted for compatibility and means mutation mode
+    let eventType = config.eventType === 'DOMSubtreeModified' ? null : (config.eventType || null);
+    if (!eventType && !config.watch && attribute === 'value') {
+        // Typing changes the value property without any DOM mutation
+        eventType = 'input';
+    }
+
+    const entry = {
+        watchId,
+        selector: config.selector,
+        attribute,
+        eventType,
+        watch: eventType ? null : normalizeWatchKinds(config.watch, attribute),
+        explicitWatch: Boolean(config.watch),
+        subtree: config.subtree,
+        debounce: toDelay(config.debounce),
+        throttle: toDelay(config.throttle),
+        options: getTargetOptions(config),
+        stopOnNavigation: config.stopOnNavigation === true,
+        notify,
+        elements: [],
+        detach: null,
+        emitter: null,
+        lastValue: null,
+        status: 'active',
+        changeCount: 0,
+        createdAt: Date.now()
+    };
+    entry.emitter = createChangeEmitter(entry);
+
+    // Throws ELEMENT_NOT_FOUND / INVALID_SELECTOR before anything is registered,
+    // unless the observer watches for the element to appear
+    let elements;
+    try {
+        elements = queryElements(entry.selector, entry.options);
+    } catch (error) {
+        if (error.code !== COMMAND_ERRORS.ELEMENT_NOT_FOUND || !(entry.watch && entry.watch.presence)) {
+            throw error;
+        }
+        elements = [];
+        entry.status = 'waiting';
+    }
+
+    // Restarting a watchId replaces the previous observer instead of leaking it. Done
+    // only now, so a restart with a bad config leaves the running observer alone
+    if (domObservers.has(watchId)) {
+        stopDomObserver(watchId);
+    }
+    domObservers.set(watchId, entry);
+    if (elements.length > 0) {
+        attachDomObserver(entry, elements);
+    }
+
+    // Send current value immediately
+    notifyObserverValue(entry);
+    ensureObserverTargetWatcher();
+    observeSelectorScopes(entry);
+
+    return {
+        watchId,
+        selector: entry.selector,
+        attribute,
+        status: entry.status,
+        value: entry.lastValue,
+        count: elements.length
+    };
+}
+
+// Stop an observer and forget it
+function stopDomObserver(watchId) {
+    const entry = domObservers.get(watchId);
+    if (!entry) {
+        throw createCommandError(COMMAND_ERRORS.WATCH_NOT_FOUND, `No observer found: ${watchId}`);
+    }
+
+    detachDomObserver(entry);
+    entry.emitter.cancel();
+    domObservers.delete(watchId);
+    if (domObservers.size === 0) {
+        disconnectObserverTargetWatcher();
+    }
+    return { watchId, status: 'stopped' };
+}
+
+// Stop every registered observer
+function stopAllDomObservers() {
+    const watchIds = Array.from(domObservers.keys());
+    watchIds.forEach(stopDomObserver);
+    return { stopped: watchIds };
+}
+
+// Pause an observer: its listeners are removed until it is resumed
+function pauseDomObserver(watchId) {
+    const entry = getDomObserver(watchId);
+    detachDomObserver(entry);
+    entry.emitter.cancel();
+    entry.status = 'paused';
+    return { watchId, status: entry.status };
+}
+
+// Resume a paused observer and report the current value if it changed meanwhile
+function resumeDomObserver(watchId) {
+    const entry = getDomObserver(watchId);
+    if (entry.status !== 'paused') {
+        return { watchId, status: entry.status };
+    }
+
+    entry.status = 'active';
+    refreshDomObserver(entry);
+    return { watchId, status: entry.status, value: entry.lastValue };
+}
+
+// Summaries of all registered observers
+function listDomObservers() {
+    return Array.from(domObservers.values()).map(entry => ({
+        watchId: entry.watchId,
+        selector: entry.selector,
+        attribute: entry.attribute,
+        eventType: entry.eventType,
+        watch: entry.watch,
+        all: entry.options.all,
+        status: entry.status,
+        count: entry.elements.length,
+        value: entry.lastValue,
+        changeCount: entry.changeCount,
+        createdAt: entry.createdAt
+    }));
+}
+
+// Look up an observer or throw WATCH_NOT_FOUND
+function getDomObserver(watchId) {
+    const entry = domObservers.get(watchId);
+    if (!entry) {
+        throw createCommandError(COMMAND_ERRORS.WATCH_NOT_FOUND, `No observer found: ${watchId}`);
+    }
+    return entry;
+}
+
+// ----------------------------------------------------------------------------------
+// Attaching & Notifications
+// ----------------------------------------------------------------------------------
+
+// Read the observed value; with `all` it is an array holding one entry per element
+function readObservedValue(entry) {
+    const values = entry.elements.map(el => readDomValue(el, entry.attribute));
+    return entry.options.all ? values : values[0];
+}
+
+// Compare observed values, including arrays from `all` observers
+function isSameObservedValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Send the current value to the observer's sink, with the diffs that led to it
+function notifyObserverValue(entry, extra) {
+    const previousValue = entry.lastValue;
+    entry.lastValue = entry.elements.length > 0 ? readObservedValue(entry) : (entry.options.all ? [] : null);
+    entry.notify(Object.assign({
+        type: 'domValueChanged',
+        selector: entry.selector,
+        attribute: entry.attribute,
+        value: entry.lastValue,
+        previousValue,
+        watchId: entry.watchId
+    }, extra));
+}
+
+// Tell the sink that an observer lost or regained its target
+function notifyObserverStatus(entry) {
+    entry.notify({
+        type: 'domObserverStatus',
+        watchId: entry.watchId,
+        selector: entry.selector,
+        status: entry.status
+    });
+}
+
+// Listen for changes on the given elements
+function attachDomObserver(entry, elements) {
+    entry.elements = elements;
+
+    // Only report changes that altered the observed value, unless the caller
+    // explicitly chose mutation kinds and wants every matching mutation
+    const onChanges = (changes) => {
+        if (changes.length === 0) return;
+        if (entry.explicitWatch || !isSameObservedValue(readObservedValue(entry), entry.lastValue)) {
+            entry.emitter.push(changes);
+        }
+    };
+
+    const cleanups = elements.map((el, index) => {
+        if (entry.eventType) {
+            const onEvent = () => onChanges([{ kind: 'event', eventType: entry.eventType, index }]);
+            el.addEventListener(entry.eventType, onEvent);
+            return () => el.removeEventListener(entry.eventType, onEvent);
+        }
+        const observer = new MutationObserver((mutations) => {
+            onChanges(describeMutations(mutations, entry.watch, index));
+        });
+        observer.observe(el, buildMutationObserverOptions(entry));
+        return () => observer.disconnect();
+    });
+
+    entry.detach = () => cleanups.forEach(cleanup => cleanup());
+}
+
+// Remove an observer's listeners
+function detachDomObserver(entry) {
+    if (entry.detach) {
+        entry.detach();
+        entry.detach = null;
+    }
+    entry.elements = [];
+}
+
+// ----------------------------------------------------------------------------------
+// Mutation Watching
+// ----------------------------------------------------------------------------------
+
+// Normalize the `watch` option into { attributes, text, children, presence }.
+// Accepts an array of kinds or an object; `attributes` may be an attribute filter array.
+// Without `watch`, text and child changes plus the observed attribute are watched.
+function normalizeWatchKinds(watch, attribute) {
+    if (!watch) {
+        return {
+            attributes: NON_ATTRIBUTE_VALUES.includes(attribute) ? false : [attribute],
+            text: true,
+            children: true,
+            presence: false
+        };
+    }
+
+    const requested = Array.isArray(watch)
+        ? watch.reduce((kinds, kind) => Object.assign(kinds, { [kind]: true }), {})
+        : watch;
+    if (typeof requested !== 'object') {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'watch must be an array of kinds or an object');
+    }
+
+    const unknown = Object.keys(requested).filter(kind => !WATCH_KINDS.includes(kind));
+    if (unknown.length > 0) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Unknown watch kinds: ${unknown.join(', ')}`);
+    }
+    if (requested.attributes !== undefined && typeof requested.attributes !== 'boolean' &&
+        !(Array.isArray(requested.attributes) && requested.attributes.every(name => typeof name === 'string'))) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'watch.attributes must be true or an array of attribute names');
+    }
+
+    return {
+        attributes: requested.attributes || false,
+        text: requested.text === true,
+        children: requested.children === true,
+        presence: requested.presence === true
+    };
+}
+
+// Build MutationObserver options for an observer's watch kinds
+function buildMutationObserverOptions(entry) {
+    const watch = entry.watch;
+    const options = {
+        subtree: entry.subtree !== undefined ? entry.subtree === true : Boolean(watch.text || watch.children)
+    };
+
+    if (watch.attributes) {
+        options.attributes = true;
+        options.attributeOldValue = true;
+        if (Array.isArray(watch.attributes)) {
+            options.attributeFilter = watch.attributes;
+        }
+    }
+    if (watch.text) {
+        options.characterData = true;
+        options.characterDataOldValue = true;
+    }
+    if (watch.children || watch.text) {
+        // Text is often replaced by swapping text nodes rather than editing them
+        options.childList = true;
+    }
+
+    // Presence-only observers still need a valid MutationObserver configuration
+    if (!options.attributes && !options.characterData && !options.childList) {
+        options.attributes = true;
+    }
+    return options;
+}
+
+// Short, serializable description of a node for diff payloads
+function describeNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return { nodeType: 'text', text: node.data.slice(0, 200) };
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return { nodeType: node.nodeName.toLowerCase() };
+    }
+    return {
+        nodeType: 'element',
+        tag: node.tagName.toLowerCase(),
+        id: node.id || null,
+        classes: Array.from(node.classList),
+        text: (node.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 200)
+    };
+}
+
+// Turn MutationRecords into diff entries for the kinds being watched
+function describeMutations(mutations, watch, index) {
+    const changes = [];
+    mutations.forEach(mutation => {
+        if (mutation.type === 'attributes' && watch.attributes) {
+            changes.push({
+                kind: 'attributes',
+                index,
+                attribute: mutation.attributeName,
+                oldValue: mutation.oldValue,
+                newValue: mutation.target.getAttribute(mutation.attributeName)
+            });
+        } else if (mutation.type === 'characterData' && watch.text) {
+            changes.push({
+                kind: 'text',
+                index,
+                oldValue: mutation.oldValue,
+                newValue: mutation.target.data
+            });
+        } else if (mutation.type === 'childList') {
+            const added = Array.from(mutation.addedNodes);
+            const removed = Array.from(mutation.removedNodes);
+            if (watch.children) {
+                changes.push({
+                    kind: 'children',
+                    index,
+                    added: added.map(describeNode),
+                    removed: removed.map(describeNode)
+                });
+            } else if (watch.text && added.concat(removed).some(node => node.nodeType === Node.TEXT_NODE)) {
+                changes.push({
+                    kind: 'text',
+                    index,
+                    oldValue: removed.filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.data).join(''),
+                    newValue: added.filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.data).join('')
+                });
+            }
+        }
+    });
+    return changes;
+}
+
+// Parse a debounce/throttle option into milliseconds (0 = off)
+function toDelay(value) {
+    return typeof value === 'number' && value > 0 ? value : 0;
+}
+
+// Collect diffs and deliver them according to the observer's debounce/throttle settings
+function createChangeEmitter(entry) {
+    let pending = [];
+    let timer = null;
+    let lastEmit = 0;
+
+    const flush = () => {
+        timer = null;
+        if (pending.length === 0) return;
+        const changes = pending;
+        pending = [];
+        lastEmit = Date.now();
+        entry.changeCount += 1;
+        notifyObserverValue(entry, { changes });
+    };
+
+    return {
+        push(changes) {
+            pending.push(...changes);
+            if (entry.debounce) {
+                // Wait for a quiet period, then send everything collected
+                clearTimeout(timer);
+                timer = setTimeout(flush, entry.debounce);
+            } else if (entry.throttle) {
+                // Send at most once per interval; later changes ride on the trailing call
+                const wait = entry.throttle - (Date.now() - lastEmit);
+                if (wait <= 0 && !timer) {
+                    flush();
+                } else if (!timer) {
+                    timer = setTimeout(flush, Math.max(wait, 0));
+                }
+            } else {
+                flush();
+            }
+        },
+        cancel() {
+            clearTimeout(timer);
+            timer = null;
+            pending = [];
+        }
+    };
+}
+
+// ----------------------------------------------------------------------------------
+// Automatic Reattachment
+// ----------------------------------------------------------------------------------
+
+// Re-resolve an observer's selector and reattach if its targets changed
+function refreshDomObserver(entry) {
+    if (entry.status === 'paused') return;
+
+    let elements;
+    try {
+        elements = queryElements(entry.selector, entry.options);
+    } catch (error) {
+        elements = [];
+    }
+
+    const unchanged = elements.length === entry.elements.length &&
+        elements.every((el, i) => el === entry.elements[i]);
+    if (unchanged && entry.status === 'active') return;
+
+    detachDomObserver(entry);
+
+    if (elements.length === 0) {
+        // Target is gone; keep the observer waiting for it to come back
+        if (entry.status !== 'waiting') {
+            entry.status = 'waiting';
+            notifyObserverStatus(entry);
+            if (entry.watch && entry.watch.presence) {
+                entry.emitter.push([{ kind: 'presence', present: false, count: 0 }]);
+            }
+        }
+        return;
+    }
+
+    const wasWaiting = entry.status === 'waiting';
+    entry.status = 'active';
+    attachDomObserver(entry, elements);
+    if (wasWaiting) {
+        notifyObserverStatus(entry);
+    }
+
+    if (wasWaiting && entry.watch && entry.watch.presence) {
+        entry.emitter.push([{ kind: 'presence', present: true, count: elements.length }]);
+        return;
+    }
+
+    // Report the value of the new node(s) if it differs from what was last sent
+    const value = readObservedValue(entry);
+    if (!isSameObservedValue(value, entry.lastValue)) {
+        entry.changeCount += 1;
+        notifyObserverValue(entry, { reattached: true, changes: [{ kind: 'reattached', count: elements.length }] });
+    }
+}
+
+// Re-check every observer (after DOM changes or SPA navigation)
+function refreshDomObservers() {
+    domObservers.forEach(entry => {
+        refreshDomObserver(entry);
+        observeSelectorScopes(entry);
+    });
+}
+
+// Debounced refresh used by the document watcher
+function scheduleDomObserverRefresh() {
+    if (observerRefreshTimer) return;
+    observerRefreshTimer = setTimeout(() => {
+        observerRefreshTimer = null;
+        refreshDomObservers();
+    }, OBSERVER_REATTACH_DELAY);
+}
+
+// Watch the document for added/removed nodes while any observer is registered
+function ensureObserverTargetWatcher() {
+    if (observerTargetWatcher || !document.documentElement) return;
+    observerTargetWatcher = new MutationObserver(scheduleDomObserverRefresh);
+    observerTargetWatcher.observe(document.documentElement, { childList: true, subtree: true });
+}
+
+// Shadow roots and same-origin iframe documents an observer's selector path currently
+// passes through (see parseSelectorPath); the document watcher does not see inside them
+function collectSelectorScopes(entry) {
+    let segments;
+    try {
+        segments = parseSelectorPath(entry.selector);
+    } catch (error) {
+        return [];
+    }
+
+    let scopes = [entry.options.root || document];
+    const found = [];
+    segments.slice(0, -1).forEach(segment => {
+        const next = [];
+        scopes.forEach(scope => {
+            let matches = [];
+            try {
+                matches = Array.from(scope.querySelectorAll(segment));
+            } catch (e) {
+                // Invalid segments are reported by queryElements
+            }
+            matches.forEach(el => {
+                const pierced = getPiercedScope(el);
+                if (pierced) next.push(pierced);
+            });
+        });
+        found.push(...next);
+        scopes = next;
+    });
+    return found;
+}
+
+// Let the document watcher also see inside the scopes of an observer's selector path,
+// so targets re-rendered inside a shadow root are reattached. Scopes replaced along with
+// their host are picked up by the refresh the host's removal triggers.
+function observeSelectorScopes(entry) {
+    if (!observerTargetWatcher) return;
+    collectSelectorScopes(entry).forEach(scope => {
+        observerTargetWatcher.observe(scope, { childList: true, subtree: true });
+    });
+}
+
+// Stop watching the document once no observers are left
+function disconnectObserverTargetWatcher() {
+    if (observerTargetWatcher) {
+        observerTargetWatcher.disconnect();
+        observerTargetWatcher = null;
+    }
+    if (observerRefreshTimer) {
+        clearTimeout(observerRefreshTimer);
+        observerRefreshTimer = null;
+    }
+}
+
+// Called on SPA navigation: drop observers that asked for it, reattach the rest
+function handleObserversUrlChange() {
+    domObservers.forEach(entry => {
+        if (entry.stopOnNavigation) {
+            stopDomObserver(entry.watchId);
+        }
+    });
+    refreshDomObservers();
+}
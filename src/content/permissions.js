@@ -0,0 +1,191 @@
+/**
+ * Command Permissions
+ * This file enforces the capabilities declared by the active app profile (see
+ * src/utils/profiles.js). Every iframe command belongs to a capability; commands of
+ * undeclared capabilities are refused with PERMISSION_DENIED, and sensitive
+ * capabilities need the user's consent once per site and profile (stored with the
+ * helpers in src/utils/profiles.js).
+ */
+
+// Consent prompts currently shown, keyed by capability, so concurrent commands share one
+const pendingConsentPrompts = new Map();
+
+// Time the user has to answer a consent prompt before it is dismissed (2 minutes)
+const CONSENT_PROMPT_TIMEOUT = 2 * 60 * 1000;
+
+// ----------------------------------------------------------------------------------
+// Consent Prompt
+// ----------------------------------------------------------------------------------
+
+// Ask the user whether the active app may use a capability on this site; resolves to true or
+// false, or null when the prompt went away unanswered (removed by the page, or not answered
+// within CONSENT_PROMPT_TIMEOUT). The dialog lives in a closed shadow root and only takes real
+// clicks and key presses, so page scripts can neither reach its buttons nor answer it with
+// synthetic events.
+function promptCapabilityConsent(capability) {
+    const primaryColor = getConfig('styling.primaryColor', '#1976d2');
+    const appName = activeProfile ? activeProfile.name : 'The sidebar app';
+
+    return new Promise((resolve) => {
+        const host = document.createElement('div');
+        host.id = 'my-chrome-consent-dialog';
+        const shadow = host.attachShadow({ mode: 'closed' });
+
+        const backdrop = document.createElement('div');
+        Object.assign(backdrop.style, {
+            position: 'fixed',
+            inset: '0',
+            zIndex: '2147483647',
+            background: 'rgba(0,0,0,0.35)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            font: '14px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif'
+        });
+
+        const dialog = document.createElement('div');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        Object.assign(dialog.style, {
+            maxWidth: '360px',
+            padding: '20px',
+            borderRadius: '8px',
+            background: getConfig('styling.backgroundColor', '#fff'),
+            color: getConfig('styling.textColor', '#333'),
+            boxShadow: `0 10px 40px ${getConfig('styling.shadowColor', 'rgba(0,0,0,0.25)')}`
+        });
+
+        const heading = document.createElement('div');
+        heading.textContent = `Allow "${appName}" on ${window.location.hostname}?`;
+        Object.assign(heading.style, { fontWeight: '600', fontSize: '16px', marginBottom: '8px' });
+
+        const text = document.createElement('div');
+        text.textContent = `The app wants to: ${PROFILE_CAPABILITIES[capability] || capability}. ` +
+            'Your choice is remembered for this site.';
+        text.style.marginBottom = '16px';
+
+        const actions = document.createElement('div');
+        Object.assign(actions.style, { display: 'flex', justifyContent: 'flex-end', gap: '8px' });
+
+        const createButton = (label, primary) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            Object.assign(button.style, {
+                padding: '6px 14px',
+                borderRadius: '4px',
+                border: `1px solid ${primaryColor}`,
+                background: primary ? primaryColor : 'transparent',
+                color: primary ? '#fff' : primaryColor,
+                font: 'inherit',
+                cursor: 'pointer'
+            });
+            return button;
+        };
+        const denyButton = createButton('Deny', false);
+        const allowButton = createButton('Allow', true);
+
+        let removalWatcher = null;
+        let timer = null;
+        const settle = (allowed) => {
+            removalWatcher.disconnect();
+            clearTimeout(timer);
+            host.remove();
+            resolve(allowed);
+        };
+        const answer = (event, allowed) => {
+            if (event.isTrusted) settle(allowed);
+        };
+        denyButton.addEventListener('click', (event) => answer(event, false));
+        allowButton.addEventListener('click', (event) => answer(event, true));
+
+        actions.appendChild(denyButton);
+        actions.appendChild(allowButton);
+        dialog.appendChild(heading);
+        dialog.appendChild(text);
+        dialog.appendChild(actions);
+        backdrop.appendChild(dialog);
+        shadow.appendChild(backdrop);
+        document.documentElement.appendChild(host);
+        allowButton.focus();
+
+        removalWatcher = new MutationObserver(() => {
+            if (!host.isConnected) settle(null);
+        });
+        removalWatcher.observe(document, { childList: true, subtree: true });
+        timer = setTimeout(() => settle(null), CONSENT_PROMPT_TIMEOUT);
+    });
+}
+
+// ----------------------------------------------------------------------------------
+// Enforcement
+// ----------------------------------------------------------------------------------
+
+// Error returned to the iframe when a capability is not available
+function createPermissionError(capability, reason) {
+    const messages = {
+        'not-declared': `The active profile does not allow "${capability}"`,
+        'denied': `The user denied "${capability}" on this site`,
+        'dismissed': `The prompt for "${capability}" was closed without an answer`
+    };
+    const error = createCommandError(COMMAND_ERRORS.PERMISSION_DENIED, messages[reason]);
+    error.details = { capability, reason, profileId: activeProfile ? activeProfile.id : null };
+    return error;
+}
+
+// Error returned to apps outside the page (side panel, other tabs) while the user has
+// switched the extension off on this site from the popup
+function createSiteDisabledError() {
+    const error = createCommandError(COMMAND_ERRORS.PERMISSION_DENIED, `The extension is disabled on ${window.location.hostname}`);
+    error.details = { reason: 'site-disabled', profileId: activeProfile ? activeProfile.id : null };
+    return error;
+}
+
+// Capabilities declared by the active profile
+function getDeclaredCapabilities() {
+    return activeProfile && Array.isArray(activeProfile.permissions) ? activeProfile.permissions : DEFAULT_PROFILE_PERMISSIONS;
+}
+
+// Resolve once the active app may use a capability, asking the user the first time
+// for sensitive ones. Rejects with PERMISSION_DENIED otherwise.
+async function ensureCapability(capability) {
+    if (!getDeclaredCapabilities().includes(capability)) {
+        throw createPermissionError(capability, 'not-declared');
+    }
+    if (!SENSITIVE_CAPABILITIES.includes(capability)) return;
+
+    const profileId = activeProfile ? activeProfile.id : DEFAULT_PROFILE_ID;
+    const consents = await loadCapabilityConsents(window.location.hostname, profileId);
+    if (consents[capability] === 'granted') return;
+    if (consents[capability] === 'denied') throw createPermissionError(capability, 'denied');
+
+    if (!pendingConsentPrompts.has(capability)) {
+        // Unanswered prompts store no decision, so the next command asks again
+        const prompt = promptCapabilityConsent(capability).then(async (allowed) => {
+            if (allowed !== null) {
+                await saveCapabilityConsent(window.location.hostname, profileId, capability, allowed ? 'granted' : 'denied');
+            }
+            return allowed;
+        }).finally(() => pendingConsentPrompts.delete(capability));
+        pendingConsentPrompts.set(capability, prompt);
+    }
+    const allowed = await pendingConsentPrompts.get(capability);
+    if (allowed === null) throw createPermissionError(capability, 'dismissed');
+    if (!allowed) throw createPermissionError(capability, 'denied');
+}
+
+// Capabilities the active app may use right now (declared, and consented where needed)
+async function getGrantedCapabilities() {
+    const profileId = activeProfile ? activeProfile.id : DEFAULT_PROFILE_ID;
+    const consents = await loadCapabilityConsents(window.location.hostname, profileId);
+    return getDeclaredCapabilities().filter(capability => {
+        return !SENSITIVE_CAPABILITIES.includes(capability) || consents[capability] === 'granted';
+    });
+}
+
+// Resolve once every listed capability is available (prompting one at a time)
+async function ensureCapabilities(capabilities) {
+    for (const capability of capabilities) {
+        await ensureCapability(capability);
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * Element Picker
+ * This file implements start-element-picker: a hover highlighter over the host page
+ * that lets the user click an element (Esc cancels) and answers with a robust
+ * selector, alternative selectors and a description of the picked element.
+ */
+
+// ----------------------------------------------------------------------------------
+// Picker State
+// ----------------------------------------------------------------------------------
+
+// Active picker session, or null
+let elementPicker = null;
+
+// How long the picker waits for the user before the command times out (ms)
+const ELEMENT_PICKER_TIMEOUT = 5 * 60 * 1000;
+
+// Maximum length of the text returned for the picked element
+const PICKED_TEXT_LENGTH = 500;
+
+// ----------------------------------------------------------------------------------
+// Overlay
+// ----------------------------------------------------------------------------------
+
+// Create the highlight box and its label
+function createPickerOverlay() {
+    const primaryColor = getConfig('styling.primaryColor', '#1976d2');
+
+    const highlight = document.createElement('div');
+    highlight.id = 'my-chrome-element-picker';
+    Object.assign(highlight.style, {
+        position: 'fixed',
+        pointerEvents: 'none',
+        zIndex: '2147483647',
+        border: `2px solid ${primaryColor}`,
+        background: 'rgba(25, 118, 210, 0.12)',
+        borderRadius: '2px',
+        transition: 'all 0.05s ease',
+        display: 'none'
+    });
+
+    const label = document.createElement('div');
+    Object.assign(label.style, {
+        position: 'absolute',
+        left: '-2px',
+        bottom: '100%',
+        padding: '2px 6px',
+        background: primaryColor,
+        color: '#fff',
+        font: '12px/1.4 monospace',
+        whiteSpace: 'nowrap',
+        maxWidth: '400px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        borderRadius: '2px 2px 0 0'
+    });
+    highlight.appendChild(label);
+
+    document.documentElement.appendChild(highlight);
+    return { highlight, label };
+}
+
+// Move the highlight box over an element
+function highlightPickerTarget(el) {
+    const { highlight, label } = elementPicker.overlay;
+    const rect = el.getBoundingClientRect();
+
+    Object.assign(highlight.style, {
+        display: 'block',
+        top: rect.top + 'px',
+        left: rect.left + 'px',
+        width: rect.width + 'px',
+        height: rect.height + 'px'
+    });
+
+    let description = el.tagName.toLowerCase();
+    if (el.id) description += '#' + el.id;
+    if (el.classList.length > 0) description += '.' + Array.from(el.classList).slice(0, 2).join('.');
+    label.textContent = `${description}  ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+}
+
+// ----------------------------------------------------------------------------------
+// Event Handling
+// ----------------------------------------------------------------------------------
+
+// Element under the pointer, ignoring the extension's own UI
+function getPickableTarget(event) {
+    const target = getEventTarget(event);
+    if (!target || target.closest(EXTENSION_UI_SELECTOR) || target.closest('#my-chrome-element-picker')) {
+        return null;
+    }
+    return target;
+}
+
+// Highlight the element under the pointer
+function onPickerMouseMove(event) {
+    const target = getPickableTarget(event);
+    if (target && target !== elementPicker.current) {
+        elementPicker.current = target;
+        highlightPickerTarget(target);
+    }
+}
+
+// Keep the page from reacting to presses while picking
+function onPickerSuppress(event) {
+    if (!getPickableTarget(event)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+}
+
+// Pick the clicked element
+function onPickerClick(event) {
+    const target = getPickableTarget(event);
+    if (!target) return;
+    onPickerSuppress(event);
+    finishElementPicker(null, describePickedElement(target));
+}
+
+// Esc cancels the picker
+function onPickerKeyDown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        finishElementPicker(createCommandError(COMMAND_ERRORS.CANCELLED, 'Element picker was cancelled'));
+    }
+}
+
+// Listeners installed while the picker is active (capture phase, so they run first)
+const PICKER_LISTENERS = {
+    mousemove: onPickerMouseMove,
+    mouseover: onPickerMouseMove,
+    mousedown: onPickerSuppress,
+    mouseup: onPickerSuppress,
+    pointerdown: onPickerSuppress,
+    pointerup: onPickerSuppress,
+    click: onPickerClick,
+    keydown: onPickerKeyDown
+};
+
+// ----------------------------------------------------------------------------------
+// Lifecycle
+// ----------------------------------------------------------------------------------
+
+// Describe the picked element for the iframe
+function describePickedElement(el) {
+    const rect = el.getBoundingClientRect();
+    const attributes = {};
+    Array.from(el.attributes).forEach(attribute => {
+        attributes[attribute.name] = attribute.value;
+    });
+
+    return {
+        selector: buildStableSelector(el),
+        alternatives: buildSelectorAlternatives(el),
+        tag: el.tagName.toLowerCase(),
+        text: (el.innerText || el.textContent || '').trim().slice(0, PICKED_TEXT_LENGTH),
+        attributes,
+        boundingBox: {
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+            viewportX: rect.left,
+            viewportY: rect.top
+        }
+    };
+}
+
+// Start the picker; resolves with the picked element or rejects with CANCELLED
+// (or TIMEOUT, so the overlay never outlives the command waiting on it)
+function startElementPicker(timeout = ELEMENT_PICKER_TIMEOUT) {
+    if (elementPicker) {
+        finishElementPicker(createCommandError(COMMAND_ERRORS.CANCELLED, 'Element picker was restarted'));
+    }
+
+    return new Promise((resolve, reject) => {
+        elementPicker = {
+            overlay: createPickerOverlay(),
+            current: null,
+            resolve,
+            reject,
+            previousCursor: document.documentElement.style.cursor,
+            timer: setTimeout(() => {
+                finishElementPicker(createCommandError(COMMAND_ERRORS.TIMEOUT, `Element picker timed out after ${timeout}ms`));
+            }, timeout)
+        };
+        document.documentElement.style.cursor = 'crosshair';
+        Object.keys(PICKER_LISTENERS).forEach(type => {
+            document.addEventListener(type, PICKER_LISTENERS[type], true);
+        });
+    });
+}
+
+// Remove the overlay and listeners and settle the pending command
+function finishElementPicker(error, result) {
+    if (!elementPicker) return;
+    const picker = elementPicker;
+    elementPicker = null;
+
+    clearTimeout(picker.timer);
+    Object.keys(PICKER_LISTENERS).forEach(type => {
+        document.removeEventListener(type, PICKER_LISTENERS[type], true);
+    });
+    picker.overlay.highlight.remove();
+    document.documentElement.style.cursor = picker.previousCursor;
+
+    if (error) {
+        picker.reject(error);
+    } else {
+        picker.resolve(result);
+    }
+}
+
+// Handler for stop-element-picker
+function stopElementPicker() {
+    const wasActive = Boolean(elementPicker);
+    finishElementPicker(createCommandError(COMMAND_ERRORS.CANCELLED, 'Element picker was stopped'));
+    return { stopped: wasActive };
+}
@@ -0,0 +1,220 @@
+/**
+ * Declarative Scraping Recipes
+ * This file implements recipes: a root selector, a repeating item selector and named
+ * fields (selector, attribute, transform) that are turned into an array of typed
+ * records with a per-field error report. Recipes can be saved in chrome.storage and
+ * are matched to pages by domain pattern.
+ */
+
+// ----------------------------------------------------------------------------------
+// Recipe Storage
+// ----------------------------------------------------------------------------------
+
+// chrome.storage.local key holding saved recipes, keyed by recipe id
+const RECIPES_STORAGE_KEY = 'scrapingRecipes';
+
+// Load all saved recipes
+async function loadSavedRecipes() {
+    const result = await chrome.storage.local.get(RECIPES_STORAGE_KEY);
+    return result[RECIPES_STORAGE_KEY] || {};
+}
+
+// Validate and store a recipe, generating an id when it has none
+async function saveRecipe(recipe) {
+    validateRecipe(recipe);
+    if (recipe.domainPattern !== undefined && !isValidUrlPattern(recipe.domainPattern)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Invalid domain pattern: ${recipe.domainPattern}`);
+    }
+
+    const recipes = await loadSavedRecipes();
+    const id = recipe.id || 'recipe-' + Date.now();
+    recipes[id] = Object.assign({}, recipe, { id, updatedAt: Date.now() });
+    await chrome.storage.local.set({ [RECIPES_STORAGE_KEY]: recipes });
+    return { id };
+}
+
+// Delete a saved recipe by id
+async function deleteRecipe(recipeId) {
+    const recipes = await loadSavedRecipes();
+    if (!recipes[recipeId]) {
+        throw createCommandError(COMMAND_ERRORS.RECIPE_NOT_FOUND, `No recipe found: ${recipeId}`);
+    }
+    delete recipes[recipeId];
+    await chrome.storage.local.set({ [RECIPES_STORAGE_KEY]: recipes });
+    return { id: recipeId };
+}
+
+// List saved recipes, flagging those whose domain pattern matches this page
+async function listRecipes(onlyMatching) {
+    const recipes = Object.values(await loadSavedRecipes()).map(recipe => Object.assign({}, recipe, {
+        matchesCurrentPage: !recipe.domainPattern || matchesUrlPattern(window.location.href, recipe.domainPattern)
+    }));
+    return onlyMatching ? recipes.filter(recipe => recipe.matchesCurrentPage) : recipes;
+}
+
+// ----------------------------------------------------------------------------------
+// Recipe Execution
+// ----------------------------------------------------------------------------------
+
+// Value transforms that can be applied to a field, alone or as a chain
+const RECIPE_TRANSFORMS = {
+    trim: (value) => typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value,
+    lowercase: (value) => typeof value === 'string' ? value.toLowerCase() : value,
+    uppercase: (value) => typeof value === 'string' ? value.toUpperCase() : value,
+    number: (value) => {
+        // Keep digits, sign and the decimal point; "1,299.00 €" becomes 1299
+        const number = parseFloat(String(value).replace(/[^0-9.+-]/g, ''));
+        if (Number.isNaN(number)) throw new Error(`Not a number: ${value}`);
+        return number;
+    },
+    date: (value) => {
+        const date = new Date(String(value).trim());
+        if (Number.isNaN(date.getTime())) throw new Error(`Not a date: ${value}`);
+        return date.toISOString();
+    },
+    url: (value) => toAbsoluteUrl(value)
+};
+
+// Normalize a field definition; a string is shorthand for { selector }
+function normalizeRecipeField(field) {
+    return typeof field === 'string' ? { selector: field } : (field || {});
+}
+
+// Get a field's transforms as an array of names
+function getFieldTransforms(field) {
+    if (!field.transform) return [];
+    return Array.isArray(field.transform) ? field.transform : [field.transform];
+}
+
+// Throw INVALID_REQUEST for recipes that cannot be run
+function validateRecipe(recipe) {
+    if (!recipe || typeof recipe !== 'object') {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'A recipe object is required');
+    }
+    if (!recipe.fields || typeof recipe.fields !== 'object' || Object.keys(recipe.fields).length === 0) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'A recipe needs at least one field');
+    }
+
+    Object.keys(recipe.fields).forEach(name => {
+        const unknown = getFieldTransforms(normalizeRecipeField(recipe.fields[name]))
+            .filter(transform => !RECIPE_TRANSFORMS[transform]);
+        if (unknown.length > 0) {
+            throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Unknown transform for field ${name}: ${unknown.join(', ')}`);
+        }
+    });
+}
+
+// Read the raw value of one matched element for a field
+function readRecipeValue(el, attribute) {
+    if (!attribute || attribute === 'text') return el.textContent;
+    return readDomValue(el, attribute);
+}
+
+// Extract one field from an item; returns { value, error }, with `absent` set when
+// nothing matched (an error only for required fields)
+function extractRecipeField(item, field) {
+    let elements;
+    if (field.selector) {
+        try {
+            elements = queryElements(field.selector, { root: item, all: field.all === true });
+        } catch (error) {
+            if (error.code !== COMMAND_ERRORS.ELEMENT_NOT_FOUND) throw error;
+            elements = [];
+        }
+    } else {
+        elements = [item];
+    }
+
+    if (elements.length === 0) {
+        const value = field.default !== undefined ? field.default : (field.all ? [] : null);
+        return { value, error: field.required ? 'missing' : null, absent: true };
+    }
+
+    // Trim text by default; an explicit transform list replaces the default
+    const transforms = field.transform ? getFieldTransforms(field) : ['trim'];
+    try {
+        const values = elements.map(el => transforms.reduce(
+            (value, transform) => value === null || value === undefined ? value : RECIPE_TRANSFORMS[transform](value),
+            readRecipeValue(el, field.attribute)
+        ));
+        return { value: field.all ? values : values[0], error: null };
+    } catch (error) {
+        return { value: field.all ? [] : null, error: 'invalid', message: error.message };
+    }
+}
+
+// Run a recipe against the page and return records plus a per-field report
+function runRecipe(recipe, options = {}) {
+    validateRecipe(recipe);
+
+    const root = recipe.root ? queryElement(recipe.root) : document;
+    let items;
+    if (recipe.item) {
+        try {
+            items = queryElements(recipe.item, { root, all: true, limit: options.limit || recipe.limit });
+        } catch (error) {
+            if (error.code !== COMMAND_ERRORS.ELEMENT_NOT_FOUND) throw error;
+            items = [];
+        }
+    } else {
+        items = [root === document ? document.documentElement : root];
+    }
+
+    const fieldNames = Object.keys(recipe.fields);
+    const report = {};
+    fieldNames.forEach(name => {
+        report[name] = { found: 0, missing: 0, invalid: 0, errors: [] };
+    });
+
+    const records = items.map((item, index) => {
+        const record = {};
+        fieldNames.forEach(name => {
+            const result = extractRecipeField(item, normalizeRecipeField(recipe.fields[name]));
+            record[name] = result.value;
+
+            if (result.error === 'missing') {
+                report[name].missing += 1;
+                report[name].errors.push({ index, code: 'missing', message: `Field ${name} not found in item ${index}` });
+            } else if (result.error === 'invalid') {
+                report[name].invalid += 1;
+                report[name].errors.push({ index, code: 'invalid', message: result.message });
+            } else if (result.absent) {
+                // Optional fields may be absent; counted, but not an error
+                report[name].missing += 1;
+            } else {
+                report[name].found += 1;
+            }
+        });
+        return record;
+    });
+
+    return {
+        recipeId: recipe.id || null,
+        url: window.location.href,
+        count: records.length,
+        records,
+        report
+    };
+}
+
+// Handler for the run-recipe command: an inline recipe, a saved one by id,
+// or the first saved recipe whose domain pattern matches this page
+async function handleRunRecipe(message) {
+    if (message.recipe) {
+        return runRecipe(message.recipe, message);
+    }
+
+    const recipes = await loadSavedRecipes();
+    let recipe;
+    if (message.recipeId) {
+        recipe = recipes[message.recipeId];
+    } else {
+        recipe = Object.values(recipes).find(saved => saved.domainPattern && matchesUrlPattern(window.location.href, saved.domainPattern));
+    }
+
+    if (!recipe) {
+        throw createCommandError(COMMAND_ERRORS.RECIPE_NOT_FOUND,
+            message.recipeId ? `No recipe found: ${message.recipeId}` : 'No saved recipe matches this page');
+    }
+    return runRecipe(recipe, message);
+}
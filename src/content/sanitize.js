@@ -0,0 +1,124 @@
+/**
+ * HTML Sanitization
+ * This file cleans the markup inserted by setHTML, appendHTML and prependHTML.
+ * Markup is parsed into an inert template, then only allowlisted tags and
+ * attributes are kept: event handlers, scripts, frames and javascript: URLs are
+ * stripped. Apps with the injectScripts capability may skip this with `trusted: true`.
+ */
+
+// ----------------------------------------------------------------------------------
+// Allowlists
+// ----------------------------------------------------------------------------------
+
+// Elements kept as they are (their attributes are still filtered)
+const SANITIZE_ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code',
+    'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li',
+    'main', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong',
+    'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+]);
+
+// Elements removed together with their content; any other unknown element is
+// replaced by its children
+const SANITIZE_DROPPED_TAGS = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'noembed', 'svg', 'math', 'link', 'meta', 'base', 'title', 'head'
+]);
+
+// Attributes allowed on every kept element (plus data-* and aria-*). No id or name,
+// which could clobber the page's globals and form fields, and no style, which could
+// lay the markup over the page's own controls
+const SANITIZE_GLOBAL_ATTRIBUTES = ['class', 'title', 'lang', 'dir', 'role', 'hidden', 'tabindex'];
+
+// Additional attributes allowed per element
+const SANITIZE_TAG_ATTRIBUTES = {
+    a: ['href', 'target', 'rel', 'download'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    time: ['datetime'],
+    ol: ['start', 'reversed', 'type'],
+    li: ['value'],
+    td: ['colspan', 'rowspan', 'headers'],
+    th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr'],
+    col: ['span'],
+    colgroup: ['span'],
+    details: ['open']
+};
+
+// Attributes holding URLs, checked against SANITIZE_URL_PATTERN
+const SANITIZE_URL_ATTRIBUTES = ['href', 'src', 'cite'];
+
+// Allowed URLs: http(s), mailto, tel, and relative or fragment URLs (no scheme)
+const SANITIZE_URL_PATTERN = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+// Inline images are allowed as raster data URLs only
+const SANITIZE_DATA_IMAGE_PATTERN = /^data:image\/(?:png|gif|jpe?g|webp);base64,[a-z0-9+/]+=*$/i;
+
+// ----------------------------------------------------------------------------------
+// Sanitizer
+// ----------------------------------------------------------------------------------
+
+// Check whether an attribute may stay on an element
+function isAllowedAttribute(tag, name, value) {
+    const allowed = SANITIZE_GLOBAL_ATTRIBUTES.includes(name) ||
+        /^(?:data|aria)-[\w.-]+$/.test(name) ||
+        (SANITIZE_TAG_ATTRIBUTES[tag] || []).includes(name);
+    if (!allowed) return false;
+    if (!SANITIZE_URL_ATTRIBUTES.includes(name)) return true;
+
+    // Control characters and whitespace are ignored by URL parsers ("java\tscript:")
+    const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (tag === 'img' && name === 'src' && SANITIZE_DATA_IMAGE_PATTERN.test(url)) return true;
+    return SANITIZE_URL_PATTERN.test(url);
+}
+
+// Parse markup in the context of a document and return a sanitized DocumentFragment.
+// `removed` counts the elements and attributes that were stripped.
+function sanitizeHtml(html, ownerDocument = document) {
+    // Template content is inert: nothing loads or runs while it is cleaned
+    const template = ownerDocument.createElement('template');
+    template.innerHTML = html === undefined || html === null ? '' : String(html);
+    const fragment = template.content;
+    let removed = 0;
+
+    const walk = (parent) => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.COMMENT_NODE) {
+                node.remove();
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = node.localName;
+            if (node.namespaceURI !== 'http://www.w3.org/1999/xhtml' || !SANITIZE_ALLOWED_TAGS.has(tag)) {
+                removed += 1;
+                if (SANITIZE_DROPPED_TAGS.has(tag)) {
+                    node.remove();
+                } else {
+                    // Unknown element: keep its (sanitized) children in its place
+                    walk(node);
+                    node.replaceWith(...Array.from(node.childNodes));
+                }
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                if (!isAllowedAttribute(tag, attribute.name, attribute.value)) {
+                    node.removeAttribute(attribute.name);
+                    removed += 1;
+                }
+            });
+            if (tag === 'a' && node.getAttribute('target') === '_blank') {
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+            walk(node);
+        });
+    };
+    walk(fragment);
+
+    return { fragment, removed };
+}
@@ -0,0 +1,234 @@
+/**
+ * Screenshot Capture
+ * This file implements capture-screenshot. The background script captures the visible
+ * tab (chrome.tabs.captureVisibleTab); this file hides the extension's own UI while
+ * capturing, scrolls and stitches captures for full-page and element shots, crops the
+ * result and encodes it as PNG or JPEG for the iframe.
+ */
+
+// ----------------------------------------------------------------------------------
+// Configuration
+// ----------------------------------------------------------------------------------
+
+// Supported capture modes and output formats
+const SCREENSHOT_MODES = ['visible', 'fullPage', 'element'];
+const SCREENSHOT_FORMATS = ['png', 'jpeg'];
+
+// Default JPEG quality (0-100)
+const DEFAULT_SCREENSHOT_QUALITY = 90;
+
+// Chrome allows two captureVisibleTab calls per second; stay just below that (ms)
+const SCREENSHOT_CAPTURE_INTERVAL = 550;
+
+// Largest canvas side we try to allocate; taller pages are cut off and flagged `truncated`
+const MAX_SCREENSHOT_DIMENSION = 16384;
+
+// Default timeout of capture-screenshot; full-page captures take one interval per viewport (ms)
+const SCREENSHOT_TIMEOUT = 60000;
+
+// Elements hidden while capturing (sidebar, toggle button, element picker, consent prompt)
+const SCREENSHOT_HIDDEN_SELECTOR = '#my-chrome-sidebar-wrapper, #my-chrome-sidebar-btn, #my-chrome-element-picker,' +
+    ' #my-chrome-consent-dialog';
+
+// ----------------------------------------------------------------------------------
+// Capture Helpers
+// ----------------------------------------------------------------------------------
+
+// Time of the last captureVisibleTab call, used to respect the rate limit
+let lastScreenshotCapture = 0;
+
+// Resolve after the next paint
+function waitForPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
+// Hide the extension's UI and return a function that shows it again
+function hideExtensionUi() {
+    const hidden = Array.from(document.querySelectorAll(SCREENSHOT_HIDDEN_SELECTOR)).map(el => {
+        const previous = {
+            value: el.style.getPropertyValue('visibility'),
+            priority: el.style.getPropertyPriority('visibility')
+        };
+        el.style.setProperty('visibility', 'hidden', 'important');
+        return { el, previous };
+    });
+
+    return () => {
+        hidden.forEach(({ el, previous }) => {
+            if (previous.value) {
+                el.style.setProperty('visibility', previous.value, previous.priority);
+            } else {
+                el.style.removeProperty('visibility');
+            }
+        });
+    };
+}
+
+// Ask the background script for a PNG of the visible viewport
+async function captureVisibleViewport() {
+    const wait = lastScreenshotCapture + SCREENSHOT_CAPTURE_INTERVAL - Date.now();
+    if (wait > 0) await sleep(wait);
+    await waitForPaint();
+    lastScreenshotCapture = Date.now();
+
+    const response = await chrome.runtime.sendMessage({ action: 'captureScreenshot', format: 'png' });
+    if (!response || !response.image) {
+        throw createCommandError(COMMAND_ERRORS.INTERNAL_ERROR,
+            `Could not capture the tab: ${(response && response.error) || 'no image returned'}`);
+    }
+    return loadImage(response.image);
+}
+
+// Decode a data URL into an image element
+function loadImage(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(createCommandError(COMMAND_ERRORS.INTERNAL_ERROR, 'Could not decode the captured image'));
+        image.src = dataUrl;
+    });
+}
+
+// Scroll instantly (ignoring `scroll-behavior: smooth`) and wait for the page to settle
+async function scrollToPosition(x, y) {
+    window.scrollTo({ left: x, top: y, behavior: 'instant' });
+    await waitForPaint();
+}
+
+// ----------------------------------------------------------------------------------
+// Region Capture
+// ----------------------------------------------------------------------------------
+
+// Size of the scrollable page in CSS pixels
+function getPageSize() {
+    const root = document.documentElement;
+    const body = document.body || root;
+    return {
+        width: Math.max(root.scrollWidth, body.scrollWidth, root.clientWidth),
+        height: Math.max(root.scrollHeight, body.scrollHeight, root.clientHeight)
+    };
+}
+
+// Capture a region given in page coordinates ({ x, y, width, height } CSS pixels),
+// scrolling over it one viewport at a time and stitching the captures together
+async function captureRegion(region) {
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = document.documentElement.clientHeight;
+    let canvas = null;
+    let context = null;
+    let scale = 1;
+    let truncated = false;
+    let regionHeight = region.height;
+
+    for (let top = region.y; top < region.y + regionHeight; top += viewportHeight) {
+        for (let left = region.x; left < region.x + region.width; left += viewportWidth) {
+            await scrollToPosition(left, top);
+            const image = await captureVisibleViewport();
+
+            // The canvas is created once the device pixel scale is known from the first capture
+            if (!canvas) {
+                scale = image.width / window.innerWidth;
+                const maxHeight = Math.floor(MAX_SCREENSHOT_DIMENSION / scale);
+                if (regionHeight > maxHeight) {
+                    regionHeight = maxHeight;
+                    truncated = true;
+                }
+                canvas = document.createElement('canvas');
+                canvas.width = Math.round(Math.min(region.width * scale, MAX_SCREENSHOT_DIMENSION));
+                canvas.height = Math.round(regionHeight * scale);
+                context = canvas.getContext('2d');
+            }
+
+            // The browser may clamp the scroll position near the end of the page
+            const scrollX = window.scrollX;
+            const scrollY = window.scrollY;
+            const sourceX = Math.max(region.x, scrollX);
+            const sourceY = Math.max(region.y, scrollY);
+            const width = Math.min(region.x + region.width, scrollX + viewportWidth) - sourceX;
+            const height = Math.min(region.y + regionHeight, scrollY + viewportHeight) - sourceY;
+            if (width <= 0 || height <= 0) continue;
+
+            context.drawImage(image,
+                (sourceX - scrollX) * scale, (sourceY - scrollY) * scale, width * scale, height * scale,
+                (sourceX - region.x) * scale, (sourceY - region.y) * scale, width * scale, height * scale);
+        }
+    }
+    return { canvas, scale, truncated };
+}
+
+// Page region to capture for a screenshot request
+function getScreenshotRegion(message) {
+    if (message.mode === 'element') {
+        const el = queryElement(message.selector);
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+            throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Element has no size: ${describeSelector(message.selector)}`);
+        }
+        // Elements in iframes are positioned relative to the frame's viewport
+        const frame = el.ownerDocument !== document ? el.ownerDocument.defaultView.frameElement : null;
+        const offset = frame ? frame.getBoundingClientRect() : { left: 0, top: 0 };
+        const padding = typeof message.padding === 'number' && message.padding > 0 ? message.padding : 0;
+        const page = getPageSize();
+        const x = Math.max(0, rect.left + offset.left + window.scrollX - padding);
+        const y = Math.max(0, rect.top + offset.top + window.scrollY - padding);
+        return {
+            x,
+            y,
+            width: Math.min(rect.width + padding * 2, page.width - x),
+            height: Math.min(rect.height + padding * 2, page.height - y)
+        };
+    }
+    if (message.mode === 'fullPage') {
+        const page = getPageSize();
+        return { x: 0, y: 0, width: document.documentElement.clientWidth, height: page.height };
+    }
+    return {
+        x: window.scrollX,
+        y: window.scrollY,
+        width: document.documentElement.clientWidth,
+        height: document.documentElement.clientHeight
+    };
+}
+
+// ----------------------------------------------------------------------------------
+// Command Handler
+// ----------------------------------------------------------------------------------
+
+// Handler for capture-screenshot:
+// { mode: 'visible' | 'fullPage' | 'element', selector, padding, format: 'png' | 'jpeg', quality: 0-100 }
+async function handleCaptureScreenshot(message) {
+    const mode = message.mode || 'visible';
+    const format = message.format || 'png';
+    if (!SCREENSHOT_MODES.includes(mode)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Unknown screenshot mode: ${mode}`);
+    }
+    if (!SCREENSHOT_FORMATS.includes(format)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Unknown screenshot format: ${format}`);
+    }
+    const quality = typeof message.quality === 'number'
+        ? Math.min(100, Math.max(0, message.quality))
+        : DEFAULT_SCREENSHOT_QUALITY;
+
+    const region = getScreenshotRegion(Object.assign({}, message, { mode }));
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    const showExtensionUi = hideExtensionUi();
+
+    try {
+        const { canvas, scale, truncated } = await captureRegion(region);
+        const dataUrl = canvas.toDataURL('image/' + format, quality / 100);
+        return {
+            mode,
+            format,
+            quality: format === 'jpeg' ? quality : null,
+            width: canvas.width,
+            height: canvas.height,
+            scale,
+            truncated,
+            dataUrl
+        };
+    } finally {
+        showExtensionUi();
+        window.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Selector Builder
+ * This file generates robust, unique CSS selectors for elements on the page, used
+ * when recording macros and by the element picker. Generated selectors use the same
+ * `>>>` piercing syntax as queryElements for elements inside shadow roots and
+ * same-origin iframes.
+ */
+
+// Data attributes that test suites and frameworks use as stable hooks
+const STABLE_DATA_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy', 'data-id'];
+
+// Ids that look generated by frameworks (":r1:", "ember123", long hex/number runs)
+const GENERATED_ID_PATTERN = /^:|^(ember|react|mui|radix|headlessui)[-_]?\d|\d{4,}|[0-9a-f]{8,}/i;
+
+// Check whether a selector matches exactly this element within its root
+function isUniqueSelector(selector, el, root) {
+    try {
+        const matches = root.querySelectorAll(selector);
+        return matches.length === 1 && matches[0] === el;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Quote a value for use in an attribute selector
+function quoteAttributeValue(value) {
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+// Selectors based on attributes that rarely change, most stable first
+function getAttributeSelectorCandidates(el) {
+    const tag = el.tagName.toLowerCase();
+    const candidates = [];
+
+    if (el.id && !GENERATED_ID_PATTERN.test(el.id)) {
+        candidates.push('#' + CSS.escape(el.id));
+    }
+    STABLE_DATA_ATTRIBUTES.forEach(name => {
+        if (el.hasAttribute(name)) {
+            candidates.push(`${tag}[${name}=${quoteAttributeValue(el.getAttribute(name))}]`);
+        }
+    });
+    if (el.getAttribute('name')) {
+        candidates.push(`${tag}[name=${quoteAttributeValue(el.getAttribute('name'))}]`);
+    }
+    if (el.getAttribute('aria-label')) {
+        candidates.push(`${tag}[aria-label=${quoteAttributeValue(el.getAttribute('aria-label'))}]`);
+    }
+    if (el.getAttribute('placeholder')) {
+        candidates.push(`${tag}[placeholder=${quoteAttributeValue(el.getAttribute('placeholder'))}]`);
+    }
+    return candidates;
+}
+
+// Structural selector: tag:nth-of-type() steps up to the nearest uniquely identifiable ancestor
+function buildNthPathSelector(el, root) {
+    const steps = [];
+    let current = el;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+        // Anchor the path on an ancestor with a stable, unique selector
+        if (current !== el) {
+            const anchor = getAttributeSelectorCandidates(current).find(candidate => isUniqueSelector(candidate, current, root));
+            if (anchor) {
+                steps.unshift(anchor);
+                break;
+            }
+        }
+
+        const tag = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (!parent || tag === 'html' || tag === 'body') {
+            steps.unshift(tag);
+            break;
+        }
+
+        const sameTagSiblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        steps.unshift(sameTagSiblings.length > 1
+            ? `${tag}:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`
+            : tag);
+        current = parent;
+    }
+    return steps.join(' > ');
+}
+
+// Build a selector for an element within its own root (document or shadow root)
+function buildLocalSelector(el, root) {
+    const stable = getAttributeSelectorCandidates(el).find(candidate => isUniqueSelector(candidate, el, root));
+    return stable || buildNthPathSelector(el, root);
+}
+
+// Selector prefix reaching the shadow root or iframe document an element lives in
+// ("host >>> "), or an empty string for elements in the main document
+function buildScopePrefix(el) {
+    const root = el.getRootNode();
+    if (typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot) {
+        return `${buildStableSelector(root.host)} ${PIERCING_COMBINATOR} `;
+    }
+    if (root !== document && root.defaultView && root.defaultView.frameElement) {
+        return `${buildStableSelector(root.defaultView.frameElement)} ${PIERCING_COMBINATOR} `;
+    }
+    return '';
+}
+
+// Build a unique selector that queryElements can resolve, piercing shadow roots
+// and same-origin iframes with `>>>` where needed
+function buildStableSelector(el) {
+    return buildScopePrefix(el) + buildLocalSelector(el, el.getRootNode());
+}
+
+// Whitespace-collapsed text of an element, as XPath's normalize-space() computes it
+function getNormalizedText(el) {
+    return (el.textContent || '').replace(/[ \t\r\n]+/g, ' ').trim();
+}
+
+// Quote a string as an XPath literal. XPath has no escapes, so text with both quote
+// kinds is split at the double quotes and joined with concat()
+function toXPathLiteral(text) {
+    if (!text.includes('"')) return `"${text}"`;
+    if (!text.includes("'")) return `'${text}'`;
+    return 'concat(' + text.split('"').map(part => `"${part}"`).join(`, '"', `) + ')';
+}
+
+// Text-based locator: the tag and normalized text that identify the element, and the
+// equivalent XPath. Returns null for elements without text or whose text another
+// element of the same tag shares, since the locator would then be ambiguous.
+function buildTextLocator(el) {
+    const text = getNormalizedText(el);
+    if (!text || text.length > 80) return null;
+
+    const tag = el.tagName.toLowerCase();
+    const sameText = Array.from(el.getRootNode().querySelectorAll(tag))
+        .filter(other => getNormalizedText(other) === text);
+    if (sameText.length !== 1 || sameText[0] !== el) return null;
+
+    return {
+        strategy: 'text',
+        selector: tag,
+        text,
+        xpath: `//${tag}[normalize-space()=${toXPathLiteral(text)}]`
+    };
+}
+
+// All unique selectors found for an element, grouped by strategy, most stable first
+function buildSelectorAlternatives(el) {
+    const root = el.getRootNode();
+    const prefix = buildScopePrefix(el);
+    const alternatives = [];
+
+    getAttributeSelectorCandidates(el)
+        .filter(candidate => isUniqueSelector(candidate, el, root))
+        .forEach(candidate => {
+            let strategy = 'attribute';
+            if (candidate.startsWith('#')) strategy = 'id';
+            else if (candidate.includes('[data-')) strategy = 'data-attribute';
+            alternatives.push({ strategy, selector: prefix + candidate });
+        });
+
+    alternatives.push({ strategy: 'nth-path', selector: prefix + buildNthPathSelector(el, root) });
+
+    // The XPath of a text locator only resolves within the main document
+    const textLocator = prefix ? null : buildTextLocator(el);
+    if (textLocator) {
+        alternatives.push(textLocator);
+    }
+    return alternatives;
+}
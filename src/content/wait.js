@@ -0,0 +1,202 @@
+/**
+ * Wait Conditions
+ * This file implements the wait-for command and the `waitFor` precondition that
+ * any command can carry. It waits for elements to appear, disappear, become visible
+ * or hidden, for text to match, or for network activity to settle, and reports how
+ * long the wait took or why it timed out.
+ */
+
+// ----------------------------------------------------------------------------------
+// Configuration
+// ----------------------------------------------------------------------------------
+
+// Supported wait conditions
+const WAIT_CONDITIONS = ['appear', 'disappear', 'visible', 'hidden', 'text', 'networkIdle'];
+
+// Default wait timeout and polling interval (ms)
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const WAIT_POLL_INTERVAL = 100;
+
+// Quiet period after the last network request that counts as "idle" (ms)
+const DEFAULT_NETWORK_IDLE_TIME = 500;
+
+// ----------------------------------------------------------------------------------
+// Generic Waiting
+// ----------------------------------------------------------------------------------
+
+// A usable wait timeout: the given one if it is a positive number, else the default
+function getWaitTimeout(timeout) {
+    return typeof timeout === 'number' && timeout > 0 ? timeout : DEFAULT_WAIT_TIMEOUT;
+}
+
+// Resolve once check() returns a truthy value, re-checking on DOM mutations and on a
+// polling interval. Rejects with TIMEOUT (details include the elapsed time) otherwise.
+function waitForCondition(check, options = {}) {
+    const timeout = getWaitTimeout(options.timeout);
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+        let observer = null;
+        let pollTimer = null;
+        let timeoutTimer = null;
+        let settled = false;
+
+        const finish = (error, value) => {
+            if (settled) return;
+            settled = true;
+            if (observer) observer.disconnect();
+            clearInterval(pollTimer);
+            clearTimeout(timeoutTimer);
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ elapsed: Date.now() - startedAt, value });
+            }
+        };
+
+        const evaluate = () => {
+            try {
+                const value = check();
+                if (value) finish(null, value);
+            } catch (error) {
+                finish(error);
+            }
+        };
+
+        timeoutTimer = setTimeout(() => {
+            const error = createCommandError(COMMAND_ERRORS.TIMEOUT,
+                `Timed out after ${timeout}ms waiting for ${options.label || 'condition'}`);
+            error.details = Object.assign({ elapsed: Date.now() - startedAt, timeout }, options.details);
+            finish(error);
+        }, timeout);
+
+        if (document.documentElement) {
+            observer = new MutationObserver(evaluate);
+            observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+        }
+        pollTimer = setInterval(evaluate, options.interval || WAIT_POLL_INTERVAL);
+        evaluate();
+    });
+}
+
+// ----------------------------------------------------------------------------------
+// Conditions
+// ----------------------------------------------------------------------------------
+
+// Check whether an element is rendered and not hidden by CSS
+function isElementVisible(el) {
+    if (!el.isConnected) return false;
+    if (typeof el.checkVisibility === 'function') {
+        return el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
+    const style = window.getComputedStyle(el);
+    return el.getClientRects().length > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+}
+
+// Find the targeted elements, treating "nothing matches" as an empty list
+function findWaitTargets(selector, options) {
+    try {
+        return queryElements(selector, options);
+    } catch (error) {
+        if (error.code === COMMAND_ERRORS.ELEMENT_NOT_FOUND) return [];
+        throw error;
+    }
+}
+
+// Build a text matcher from a plain substring or a "/source/flags" pattern
+function createTextMatcher(text) {
+    const regExp = typeof text === 'string' ? parseRegExpPattern(text) : null;
+    if (regExp) return (value) => regExp.test(value);
+    return (value) => value.includes(String(text));
+}
+
+// Track the time of the most recent network request seen by the page
+let lastNetworkActivity = performance.now();
+let networkActivityObserver = null;
+
+// Start recording resource timing entries (once per page)
+function ensureNetworkActivityObserver() {
+    if (networkActivityObserver || typeof PerformanceObserver === 'undefined') return;
+    networkActivityObserver = new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => {
+            lastNetworkActivity = Math.max(lastNetworkActivity, entry.responseEnd || entry.startTime);
+        });
+    });
+    try {
+        networkActivityObserver.observe({ type: 'resource', buffered: true });
+    } catch (e) {
+        networkActivityObserver = null;
+    }
+}
+
+// Build the check function for a wait spec
+function createWaitCheck(spec) {
+    const targetOptions = getTargetOptions(spec);
+
+    switch (spec.condition) {
+        case 'appear':
+            return () => findWaitTargets(spec.selector, targetOptions).length > 0;
+        case 'disappear':
+            return () => findWaitTargets(spec.selector, targetOptions).length === 0;
+        case 'visible':
+            return () => {
+                const elements = findWaitTargets(spec.selector, targetOptions);
+                return elements.length > 0 && elements.every(isElementVisible);
+            };
+        case 'hidden':
+            return () => findWaitTargets(spec.selector, targetOptions).every(el => !isElementVisible(el));
+        case 'text': {
+            const matches = createTextMatcher(spec.text);
+            return () => findWaitTargets(spec.selector, targetOptions)
+                .some(el => matches((el.textContent || '').replace(/\s+/g, ' ').trim()));
+        }
+        case 'networkIdle': {
+            // Approximation: no resource finished loading for `idleTime` ms. Requests that
+            // are still in flight are not visible to the page, so long polls are ignored.
+            ensureNetworkActivityObserver();
+            const idleTime = typeof spec.idleTime === 'number' && spec.idleTime > 0 ? spec.idleTime : DEFAULT_NETWORK_IDLE_TIME;
+            return () => performance.now() - lastNetworkActivity >= idleTime;
+        }
+    }
+}
+
+// Check a wait spec before anything starts waiting
+function validateWaitSpec(spec) {
+    if (!spec || typeof spec !== 'object') {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'A wait condition object is required');
+    }
+
+    // A bare selector means "wait for it to appear"
+    const condition = spec.condition || 'appear';
+    if (!WAIT_CONDITIONS.includes(condition)) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `Unknown wait condition: ${condition}`);
+    }
+    if (condition !== 'networkIdle') {
+        // Validates syntax now so a typo fails fast instead of timing out
+        parseSelectorPath(spec.selector);
+    }
+    if (condition === 'text' && (spec.text === undefined || spec.text === null || spec.text === '')) {
+        throw createCommandError(COMMAND_ERRORS.INVALID_REQUEST, 'The text condition requires a text value');
+    }
+    return Object.assign({}, spec, { condition });
+}
+
+// Wait for a condition described by { condition, selector, text, idleTime, timeout }
+async function waitFor(spec) {
+    const normalized = validateWaitSpec(spec);
+    const label = normalized.condition === 'networkIdle'
+        ? 'network idle'
+        : `${describeSelector(normalized.selector)} (${normalized.condition})`;
+
+    const result = await waitForCondition(createWaitCheck(normalized), {
+        timeout: normalized.timeout,
+        label,
+        details: { condition: normalized.condition, selector: normalized.selector || null }
+    });
+
+    return {
+        condition: normalized.condition,
+        selector: normalized.selector || null,
+        elapsed: result.elapsed
+    };
+}
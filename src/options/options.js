@@ -0,0 +1,479 @@
+/**
+ * Options Page
+ * Edits the settings from config/settings.json at runtime, the app profiles with
+ * their site rules, and where the extension activates. Changed values are stored in chrome.storage.sync (see
+ * src/utils/settings.js and src/utils/profiles.js); open tabs pick them up through
+ * chrome.storage.onChanged. Settings can be exported and imported as JSON.
+ */
+
+// ----------------------------------------------------------------------------------
+// State & Helpers
+// ----------------------------------------------------------------------------------
+
+// The bundled defaults, shown as placeholders and used by "Reset to defaults"
+let bundledSettings = {};
+
+// Show a status message below the form
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+// Form field id for a setting path
+function getFieldId(path) {
+    return 'setting-' + path.replace(/\./g, '-');
+}
+
+// ----------------------------------------------------------------------------------
+// Form
+// ----------------------------------------------------------------------------------
+
+// Create the input row for one setting
+function createField(path, rule) {
+    const field = document.createElement('div');
+    field.className = 'field';
+    field.dataset.path = path;
+
+    const label = document.createElement('label');
+    label.htmlFor = getFieldId(path);
+    label.textContent = rule.label;
+    field.appendChild(label);
+
+    const input = document.createElement(rule.type === 'choice' ? 'select' : 'input');
+    input.id = getFieldId(path);
+    const defaultValue = getSettingValue(bundledSettings, path);
+
+    if (rule.type === 'choice') {
+        Object.keys(rule.choices).forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = rule.choices[value];
+            input.appendChild(option);
+        });
+        field.appendChild(input);
+    } else if (rule.type === 'boolean') {
+        input.type = 'checkbox';
+        field.appendChild(input);
+    } else if (rule.type === 'number') {
+        input.type = 'number';
+        input.min = rule.min;
+        input.max = rule.max;
+        input.placeholder = defaultValue !== undefined ? defaultValue : '';
+        field.appendChild(input);
+    } else if (rule.type === 'color') {
+        input.type = 'text';
+        input.placeholder = defaultValue || '';
+        const wrapper = document.createElement('div');
+        wrapper.className = 'color-input';
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        input.addEventListener('input', () => {
+            swatch.style.background = input.value;
+        });
+        wrapper.appendChild(swatch);
+        wrapper.appendChild(input);
+        field.appendChild(wrapper);
+    } else {
+        input.type = 'text';
+        input.placeholder = defaultValue || '';
+        field.appendChild(input);
+    }
+
+    const error = document.createElement('div');
+    error.className = 'error';
+    field.appendChild(error);
+    return field;
+}
+
+// Build one fieldset per settings section
+function renderForm() {
+    const form = document.getElementById('settings-form');
+    form.textContent = '';
+
+    Object.keys(SETTINGS_SECTIONS).forEach(section => {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = SETTINGS_SECTIONS[section];
+        fieldset.appendChild(legend);
+
+        Object.keys(SETTINGS_SCHEMA)
+            .filter(path => path.split('.')[0] === section)
+            .forEach(path => fieldset.appendChild(createField(path, SETTINGS_SCHEMA[path])));
+        form.appendChild(fieldset);
+    });
+}
+
+// Put settings values into the form
+function fillForm(settings) {
+    Object.keys(SETTINGS_SCHEMA).forEach(path => {
+        const input = document.getElementById(getFieldId(path));
+        const value = getSettingValue(settings, path);
+        if (input.type === 'checkbox') {
+            input.checked = value === true;
+        } else {
+            input.value = value !== undefined ? value : '';
+            input.dispatchEvent(new Event('input'));
+        }
+    });
+    showFieldErrors([]);
+}
+
+// Read the settings from the form, on top of the bundled defaults
+function readForm() {
+    const settings = JSON.parse(JSON.stringify(bundledSettings));
+    Object.keys(SETTINGS_SCHEMA).forEach(path => {
+        const input = document.getElementById(getFieldId(path));
+        let value;
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        } else if (input.type === 'number') {
+            value = input.value === '' ? getSettingValue(bundledSettings, path) : Number(input.value);
+        } else {
+            value = input.value.trim() === '' ? getSettingValue(bundledSettings, path) : input.value.trim();
+        }
+        setSettingValue(settings, path, value);
+    });
+    return settings;
+}
+
+// Mark invalid fields with their messages
+function showFieldErrors(errors) {
+    document.querySelectorAll('#settings-form .field').forEach(field => {
+        const fieldErrors = errors.filter(error => error.path === field.dataset.path);
+        field.classList.toggle('invalid', fieldErrors.length > 0);
+        field.querySelector('.error').textContent = fieldErrors.map(error => error.message).join(' ');
+    });
+}
+
+// ----------------------------------------------------------------------------------
+// Profiles & Rules
+// ----------------------------------------------------------------------------------
+
+// Create a text input bound to a profile or rule property
+function createProfileInput(key, value, placeholder) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.key = key;
+    input.value = value || '';
+    input.placeholder = placeholder || '';
+    return input;
+}
+
+// Create the capability checkboxes of a profile
+function createPermissionChecks(permissions) {
+    const container = document.createElement('div');
+    container.className = 'permissions';
+    Object.keys(PROFILE_CAPABILITIES).forEach(capability => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.capability = capability;
+        checkbox.checked = permissions.includes(capability);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + PROFILE_CAPABILITIES[capability]));
+        container.appendChild(label);
+    });
+    return container;
+}
+
+// Capabilities checked in a container
+function readPermissionChecks(container) {
+    return Array.from(container.querySelectorAll('input[data-capability]:checked'))
+        .map(checkbox => checkbox.dataset.capability);
+}
+
+// Capabilities of the default profile when none are set on this page
+function getBundledPermissions() {
+    return Array.isArray(bundledSettings.permissions) ? bundledSettings.permissions : DEFAULT_PROFILE_PERMISSIONS;
+}
+
+// Create the editor card for one profile
+function createProfileCard(profile) {
+    const card = document.createElement('div');
+    card.className = 'profile';
+    card.dataset.id = profile.id;
+
+    const fields = [
+        ['name', 'Name', profile.name, 'CRM helper'],
+        ['iframeSrc', 'Nordcraft app URL', profile.iframeSrc, 'https://my-app.nordcraft.site/'],
+        ['title', 'Sidebar title', profile.title, getSettingValue(bundledSettings, 'sidebar.title')]
+    ].concat(PROFILE_STYLING_KEYS.map(key => [
+        'styling.' + key,
+        SETTINGS_SCHEMA['styling.' + key].label,
+        profile.styling ? profile.styling[key] : '',
+        'Same as the settings'
+    ]));
+
+    fields.forEach(([key, labelText, value, placeholder]) => {
+        const field = document.createElement('div');
+        field.className = 'field';
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        field.appendChild(label);
+        field.appendChild(createProfileInput(key, value, placeholder));
+        card.appendChild(field);
+    });
+
+    const permissionsField = document.createElement('div');
+    permissionsField.className = 'field';
+    const permissionsLabel = document.createElement('label');
+    permissionsLabel.textContent = 'The app may';
+    permissionsField.appendChild(permissionsLabel);
+    permissionsField.appendChild(createPermissionChecks(
+        Array.isArray(profile.permissions) ? profile.permissions : DEFAULT_PROFILE_PERMISSIONS));
+    card.appendChild(permissionsField);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove profile';
+    remove.addEventListener('click', () => {
+        card.remove();
+        renderProfileSelects();
+    });
+    card.appendChild(remove);
+
+    card.querySelector('[data-key="name"]').addEventListener('change', renderProfileSelects);
+    return card;
+}
+
+// Create the editor row for one rule
+function createRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule';
+    row.appendChild(createProfileInput('pattern', rule.pattern, '*.example.com'));
+
+    const select = document.createElement('select');
+    select.dataset.key = 'profileId';
+    select.dataset.value = rule.profileId || DEFAULT_PROFILE_ID;
+    row.appendChild(select);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+    row.appendChild(remove);
+    return row;
+}
+
+// Refresh the profile choices of the rule and default-profile selects
+function renderProfileSelects() {
+    const profiles = listProfiles(bundledSettings, readProfiles());
+    const selects = Array.from(document.querySelectorAll('#rule-list select, #default-profile'));
+    selects.forEach(select => {
+        const current = select.value || select.dataset.value;
+        select.textContent = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name || profile.id;
+            select.appendChild(option);
+        });
+        select.value = profiles.some(profile => profile.id === current) ? current : DEFAULT_PROFILE_ID;
+    });
+}
+
+// Show stored profiles and rules in the editor
+function fillProfiles(data) {
+    const profileList = document.getElementById('profile-list');
+    const ruleList = document.getElementById('rule-list');
+    profileList.textContent = '';
+    ruleList.textContent = '';
+    data.profiles.forEach(profile => profileList.appendChild(createProfileCard(profile)));
+    data.rules.forEach(rule => ruleList.appendChild(createRuleRow(rule)));
+    document.getElementById('default-profile').dataset.value = data.defaultProfileId;
+    document.getElementById('default-profile').value = '';
+    const defaultPermissions = document.getElementById('default-permissions');
+    defaultPermissions.textContent = '';
+    defaultPermissions.appendChild(createPermissionChecks(
+        Array.isArray(data.defaultPermissions) ? data.defaultPermissions : getBundledPermissions()));
+    renderProfileSelects();
+}
+
+// Read profiles and rules from the editor
+function readProfiles() {
+    const profiles = Array.from(document.querySelectorAll('#profile-list .profile')).map(card => {
+        const profile = { id: card.dataset.id, styling: {} };
+        card.querySelectorAll('input[data-key]').forEach(input => {
+            const value = input.value.trim();
+            if (input.dataset.key.startsWith('styling.')) {
+                if (value) profile.styling[input.dataset.key.slice('styling.'.length)] = value;
+            } else {
+                profile[input.dataset.key] = value;
+            }
+        });
+        profile.permissions = readPermissionChecks(card);
+        return profile;
+    });
+    const rules = Array.from(document.querySelectorAll('#rule-list .rule')).map(row => ({
+        pattern: row.querySelector('[data-key="pattern"]').value.trim(),
+        profileId: row.querySelector('[data-key="profileId"]').value || row.querySelector('[data-key="profileId"]').dataset.value
+    }));
+    const defaultSelect = document.getElementById('default-profile');
+    // The default profile follows config/settings.json until its capabilities are changed here
+    const defaultPermissions = readPermissionChecks(document.getElementById('default-permissions'));
+    const bundledPermissions = getBundledPermissions();
+    const followsBundled = defaultPermissions.length === bundledPermissions.length &&
+        bundledPermissions.every(capability => defaultPermissions.includes(capability));
+    return {
+        profiles,
+        rules,
+        defaultProfileId: defaultSelect.value || defaultSelect.dataset.value || DEFAULT_PROFILE_ID,
+        defaultPermissions: followsBundled ? null : defaultPermissions
+    };
+}
+
+// Mark invalid profile and rule inputs
+function showProfileErrors(errors) {
+    document.querySelectorAll('#profile-list .profile, #rule-list .rule').forEach(element => {
+        const isProfile = element.classList.contains('profile');
+        const index = Array.from(element.parentNode.children).indexOf(element);
+        const prefix = `${isProfile ? 'profiles' : 'rules'}.${index}.`;
+        element.querySelectorAll('[data-key]').forEach(input => {
+            input.classList.toggle('invalid', errors.some(error => error.path === prefix + input.dataset.key));
+        });
+    });
+}
+
+// ----------------------------------------------------------------------------------
+// Site Access
+// ----------------------------------------------------------------------------------
+
+// Show the activation mode and include/exclude patterns (one per line)
+function fillSiteAccess(access) {
+    document.getElementById('site-access-mode').value = access.mode;
+    document.getElementById('site-access-include').value = access.include.join('\n');
+    document.getElementById('site-access-exclude').value = access.exclude.join('\n');
+}
+
+// Read the site access rules from the editor
+function readSiteAccess() {
+    const readPatterns = (id) => document.getElementById(id).value.split('\n')
+        .map(pattern => pattern.trim())
+        .filter(Boolean);
+    return {
+        mode: document.getElementById('site-access-mode').value,
+        include: readPatterns('site-access-include'),
+        exclude: readPatterns('site-access-exclude')
+    };
+}
+
+// ----------------------------------------------------------------------------------
+// Actions
+// ----------------------------------------------------------------------------------
+
+// Validate settings and profiles, then store both, reporting errors inline
+async function applySettings({ settings, profiles, siteAccess }, successMessage) {
+    const profileErrors = validateProfiles(profiles);
+    const settingErrors = validateSettings(settings);
+    const accessErrors = validateSiteAccess(siteAccess);
+    showFieldErrors(settingErrors);
+    showProfileErrors(profileErrors);
+    document.querySelectorAll('#site-access-section textarea').forEach(textarea => {
+        textarea.classList.toggle('invalid', accessErrors.some(error => error.path === 'siteAccess.' + textarea.dataset.key));
+    });
+    const errors = settingErrors.concat(profileErrors, accessErrors);
+    if (errors.length > 0) {
+        showStatus(errors.map(error => error.message).join('\n'), true);
+        return;
+    }
+
+    try {
+        await saveSettings(settings);
+        await saveProfiles(profiles);
+        await saveSiteAccess(siteAccess);
+        fillForm(settings);
+        fillProfiles(profiles);
+        fillSiteAccess(siteAccess);
+        showStatus(successMessage);
+    } catch (error) {
+        showStatus(error.message, true);
+    }
+}
+
+// Save the form
+function onSubmit(event) {
+    event.preventDefault();
+    applySettings({ settings: readForm(), profiles: readProfiles(), siteAccess: readSiteAccess() },
+        'Settings saved. Open tabs update automatically.');
+}
+
+// Drop all overrides
+async function onReset() {
+    await resetSettings();
+    fillForm(bundledSettings);
+    showStatus('Settings reset to the defaults.');
+}
+
+// Download the current settings as JSON in the settings.json format, plus the profiles
+async function onExport() {
+    const settings = Object.assign(await loadSettings(), {
+        profiles: await loadProfiles(),
+        siteAccess: await loadSiteAccess()
+    });
+    const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'codelution-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Import settings from a JSON file; only known settings are taken over
+async function onImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+        imported = JSON.parse(await file.text());
+    } catch (error) {
+        showStatus(`${file.name} is not valid JSON: ${error.message}`, true);
+        return;
+    }
+    if (!imported || typeof imported !== 'object' || Array.isArray(imported)) {
+        showStatus(`${file.name} does not contain a settings object.`, true);
+        return;
+    }
+
+    const settings = mergeSettings(bundledSettings, imported);
+    const profiles = imported.profiles && typeof imported.profiles === 'object'
+        ? Object.assign({ profiles: [], rules: [], defaultProfileId: DEFAULT_PROFILE_ID }, imported.profiles)
+        : readProfiles();
+    const siteAccess = imported.siteAccess && typeof imported.siteAccess === 'object'
+        ? Object.assign({ mode: 'always', include: [], exclude: [] }, imported.siteAccess)
+        : readSiteAccess();
+    fillForm(settings);
+    fillProfiles(profiles);
+    fillSiteAccess(siteAccess);
+    applySettings({ settings, profiles, siteAccess }, `Imported settings from ${file.name}.`);
+}
+
+// ----------------------------------------------------------------------------------
+// Initialization
+// ----------------------------------------------------------------------------------
+
+document.addEventListener('DOMContentLoaded', async () => {
+    bundledSettings = await loadBundledSettings();
+    renderForm();
+    fillForm(mergeSettings(bundledSettings, await loadSettingsOverrides()));
+    fillProfiles(await loadProfiles());
+    fillSiteAccess(await loadSiteAccess());
+
+    document.getElementById('settings-form').addEventListener('submit', onSubmit);
+    document.getElementById('reset-settings').addEventListener('click', onReset);
+    document.getElementById('export-settings').addEventListener('click', onExport);
+    document.getElementById('import-settings').addEventListener('click', () => {
+        document.getElementById('import-file').click();
+    });
+    document.getElementById('import-file').addEventListener('change', onImportFile);
+    document.getElementById('add-profile').addEventListener('click', () => {
+        document.getElementById('profile-list').appendChild(createProfileCard({ id: 'profile-' + Date.now(), styling: {} }));
+        renderProfileSelects();
+    });
+    document.getElementById('add-rule').addEventListener('click', () => {
+        document.getElementById('rule-list').appendChild(createRuleRow({ pattern: '', profileId: DEFAULT_PROFILE_ID }));
+        renderProfileSelects();
+    });
+});
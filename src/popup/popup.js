@@ -0,0 +1,325 @@
+/**
+ * Toolbar Popup
+ * Quick actions for the current tab: open/close the sidebar, enable/disable the
+ * extension on the site, take a screenshot or extract the page, reset the permissions
+ * granted to sidebar apps on the site, review and export the activity (audit) log, and
+ * show which Nordcraft app the sidebar loads and whether its iframe is connected.
+ */
+
+// ----------------------------------------------------------------------------------
+// State & Helpers
+// ----------------------------------------------------------------------------------
+
+// The tab the popup was opened on
+let activeTab = null;
+
+// Hostname of the active tab, or null for pages without one (chrome://, files)
+let activeHostname = null;
+
+// Last status reported by the content script (see refreshStatus)
+let lastStatus = null;
+
+// Labels for the iframe connection states reported by the content script
+const CONNECTION_LABELS = {
+    none: 'Sidebar closed',
+    loading: 'Sidebar loading…',
+    loaded: 'Sidebar loaded, waiting for the app',
+    connected: 'App connected',
+    sidePanel: 'Shown in the side panel',
+    unavailable: 'Not available on this page'
+};
+
+// Why the extension is not active on the tab (see getSiteAccessDecision)
+const INACTIVE_LABELS = {
+    excluded: 'Blocked on this site by the exclude list',
+    disabled: 'Switched off for this site',
+    'not-included': 'This site is not in the include list',
+    'on-click': 'Not active until you activate it on this page'
+};
+
+// Send a message to the content script of the active tab
+async function sendToActiveTab(message) {
+    if (!activeTab) throw new Error('No active tab');
+    return chrome.tabs.sendMessage(activeTab.id, message);
+}
+
+// Show a message or a node in the result area
+function showResult(content, isError = false) {
+    const result = document.getElementById('result');
+    result.textContent = '';
+    result.classList.toggle('error', isError);
+    if (typeof content === 'string') {
+        result.textContent = content;
+    } else {
+        result.appendChild(content);
+    }
+}
+
+// Create a download link for a data or blob URL
+function createDownloadLink(href, filename, text) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = filename;
+    link.textContent = text;
+    return link;
+}
+
+// File name prefix for downloads, based on the site and the current time
+function getDownloadName() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${activeHostname || 'page'}-${stamp}`;
+}
+
+// ----------------------------------------------------------------------------------
+// Status
+// ----------------------------------------------------------------------------------
+
+// Reflect the content script's status in the popup; `decision` explains why the
+// extension is inactive when the content script does not answer
+function renderStatus(status, decision = null) {
+    const connection = status ? status.connection : 'unavailable';
+    const statusEl = document.getElementById('connection-status');
+    statusEl.dataset.state = connection;
+    statusEl.textContent = !status && decision && INACTIVE_LABELS[decision.reason]
+        ? INACTIVE_LABELS[decision.reason]
+        : CONNECTION_LABELS[connection] || connection;
+
+    // Pages the user may activate the extension on (not blocked, a regular web page)
+    const canActivate = !status && Boolean(decision) && !['excluded', 'disabled'].includes(decision.reason) &&
+        Boolean(activeTab) && /^https?:/.test(activeTab.url || '');
+    document.getElementById('activate-page').hidden = !canActivate;
+
+    const available = Boolean(status);
+    const enabled = available && status.siteEnabled;
+    const toggleBtn = document.getElementById('toggle-sidebar');
+    if (status && status.mode === 'sidePanel') {
+        toggleBtn.textContent = 'Open side panel';
+    } else {
+        toggleBtn.textContent = status && status.open ? 'Close sidebar' : 'Open sidebar';
+    }
+    toggleBtn.disabled = !enabled;
+    document.getElementById('capture-screenshot').disabled = !available;
+    document.getElementById('extract-page').disabled = !available;
+    document.getElementById('site-enabled').disabled = !activeHostname;
+    if (available) {
+        document.getElementById('site-enabled').checked = status.siteEnabled;
+    }
+
+    // The page knows which app profile it loaded, which may differ from the default app
+    if (status && status.iframeSrc) {
+        document.getElementById('app-url').textContent = status.iframeSrc;
+        document.getElementById('app-url').title = status.iframeSrc;
+        document.getElementById('app-profile').textContent = status.profile ? `(${status.profile.name})` : '';
+    }
+}
+
+// Ask the content script for its status; null when it is not running on this tab
+async function refreshStatus() {
+    try {
+        const status = await sendToActiveTab({ action: 'getSidebarStatus' });
+        lastStatus = status || null;
+        renderStatus(lastStatus);
+        return status;
+    } catch (error) {
+        lastStatus = null;
+        const decision = activeTab ? await getSiteAccessDecision(activeTab.url || '') : null;
+        renderStatus(null, decision);
+        return null;
+    }
+}
+
+// ----------------------------------------------------------------------------------
+// Actions
+// ----------------------------------------------------------------------------------
+
+// Open or close the sidebar on the current tab. The side panel has to be opened
+// during the click, before anything is awaited; Chrome's own UI closes it.
+async function toggleSidebar() {
+    if (lastStatus && lastStatus.mode === 'sidePanel') {
+        await chrome.sidePanel.open({ tabId: activeTab.id });
+        window.close();
+        return;
+    }
+    const status = await refreshStatus();
+    if (!status) return;
+    renderStatus(await sendToActiveTab({ action: 'setSidebarOpen', open: !status.open }));
+    // The sidebar slides in and its iframe loads after a moment
+    setTimeout(refreshStatus, 400);
+}
+
+// Activate the extension on the current tab (activeTab + scripting, via the background)
+async function activatePage() {
+    const response = await chrome.runtime.sendMessage({ action: 'activateTab', tabId: activeTab.id });
+    if (!response || !response.ok) {
+        showResult('Could not activate: ' + (response ? response.error : 'no response'), true);
+    }
+    // Activation loads the configuration before the page answers
+    setTimeout(refreshStatus, 300);
+}
+
+// Enable or disable the extension on the current site
+async function toggleSiteEnabled(event) {
+    const enabled = event.target.checked;
+    await setSiteEnabled(activeHostname, enabled);
+    try {
+        renderStatus(await sendToActiveTab({ action: 'setSiteEnabled', enabled }));
+    } catch (error) {
+        // Not active on this tab yet: switching the site on activates it right away
+        if (enabled) {
+            await activatePage();
+        } else {
+            await refreshStatus();
+        }
+    }
+}
+
+// Forget the permissions granted or denied to sidebar apps on the current site
+async function resetConsents() {
+    await resetCapabilityConsents(activeHostname);
+    showResult(`Apps will ask again before changing ${activeHostname}.`);
+}
+
+// Number of audit entries listed in the popup
+const AUDIT_PREVIEW_ENTRIES = 10;
+
+// Show what the sidebar app recently did on this site, with JSON/CSV exports of the whole log
+async function showAuditLog() {
+    const log = await loadAuditLog();
+    const siteEntries = log.filter(entry => {
+        try {
+            return new URL(entry.url).hostname === activeHostname;
+        } catch (e) {
+            return false;
+        }
+    });
+
+    const container = document.createElement('div');
+    if (siteEntries.length === 0) {
+        container.appendChild(document.createTextNode(`No recorded actions on ${activeHostname || 'this page'}. `));
+    } else {
+        const list = document.createElement('ol');
+        list.className = 'audit-list';
+        siteEntries.slice(-AUDIT_PREVIEW_ENTRIES).reverse().forEach(entry => {
+            const item = document.createElement('li');
+            const time = new Date(entry.timestamp).toLocaleTimeString();
+            const what = entry.action ? `${entry.command} ${entry.action}` : entry.command;
+            const target = entry.selector ? ` on ${[].concat(entry.selector).join(' >>> ')}` : '';
+            item.textContent = `${time} ${what}${target}` + (entry.ok ? '' : ` (${entry.error ? entry.error.code : 'failed'})`);
+            item.title = `${entry.profileName || entry.profileId || ''} via ${entry.source}`;
+            if (!entry.ok) item.className = 'failed';
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+
+    if (log.length > 0) {
+        const name = `audit-log-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        const json = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+        const csv = new Blob([auditLogToCsv(log)], { type: 'text/csv' });
+        container.appendChild(createDownloadLink(URL.createObjectURL(json), name + '.json', `JSON (${log.length})`));
+        container.appendChild(createDownloadLink(URL.createObjectURL(csv), name + '.csv', 'CSV'));
+
+        const clear = document.createElement('button');
+        clear.textContent = 'Clear';
+        clear.addEventListener('click', async () => {
+            await clearAuditLog();
+            showResult('Activity log cleared.');
+        });
+        container.appendChild(clear);
+    }
+    showResult(container);
+}
+
+// Run a command through the content script's manipulateDom handler
+async function runPageCommand(request) {
+    const response = await sendToActiveTab(Object.assign({ type: 'manipulateDom' }, request));
+    if (!response || !response.ok) {
+        throw new Error(response && response.error ? response.error.message : 'No response from the page');
+    }
+    return response.data;
+}
+
+// Capture the visible part of the page and offer it as a download
+async function captureScreenshot(button) {
+    button.disabled = true;
+    showResult('Capturing…');
+    try {
+        const screenshot = await runPageCommand({ action: 'captureScreenshot', mode: 'visible', format: 'png' });
+        const container = document.createElement('div');
+        const image = document.createElement('img');
+        image.src = screenshot.dataUrl;
+        container.appendChild(image);
+        container.appendChild(createDownloadLink(screenshot.dataUrl, getDownloadName() + '.png',
+            `Download PNG (${screenshot.width}×${screenshot.height})`));
+        showResult(container);
+    } catch (error) {
+        showResult('Screenshot failed: ' + error.message, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Extract the page as JSON and offer it as a download
+async function extractPage(button) {
+    button.disabled = true;
+    showResult('Extracting…');
+    try {
+        const data = await runPageCommand({ action: 'extractPage' });
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const summary = ['headings', 'tables', 'links', 'images', 'forms']
+            .filter(section => Array.isArray(data[section]))
+            .map(section => `${data[section].length} ${section}`)
+            .join(', ');
+
+        const container = document.createElement('div');
+        container.appendChild(document.createTextNode(summary + ' '));
+        container.appendChild(createDownloadLink(URL.createObjectURL(blob), getDownloadName() + '.json', 'Download JSON'));
+        showResult(container);
+    } catch (error) {
+        showResult('Extraction failed: ' + error.message, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// ----------------------------------------------------------------------------------
+// Initialization
+// ----------------------------------------------------------------------------------
+
+document.addEventListener('DOMContentLoaded', async () => {
+    let settings = {};
+    try {
+        settings = await loadSettings();
+    } catch (error) {
+        console.error('Failed to load extension config:', error);
+    }
+    const sidebarSettings = settings.sidebar || {};
+    document.getElementById('popup-title').textContent = sidebarSettings.title || 'Codelution Assistant';
+    document.getElementById('app-url').textContent = sidebarSettings.iframeSrc || '–';
+    document.getElementById('app-url').title = sidebarSettings.iframeSrc || '';
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    activeTab = tab || null;
+    try {
+        const url = new URL(activeTab.url);
+        activeHostname = url.hostname || null;
+    } catch (e) {
+        activeHostname = null;
+    }
+    document.getElementById('site-hostname').textContent = activeHostname || 'this page';
+    if (activeHostname) {
+        document.getElementById('site-enabled').checked = await isSiteEnabled(activeHostname);
+    }
+
+    document.getElementById('toggle-sidebar').addEventListener('click', toggleSidebar);
+    document.getElementById('activate-page').addEventListener('click', activatePage);
+    document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    document.getElementById('site-enabled').addEventListener('change', toggleSiteEnabled);
+    document.getElementById('capture-screenshot').addEventListener('click', (event) => captureScreenshot(event.currentTarget));
+    document.getElementById('extract-page').addEventListener('click', (event) => extractPage(event.currentTarget));
+    document.getElementById('reset-consents').addEventListener('click', resetConsents);
+    document.getElementById('reset-consents').disabled = !activeHostname;
+    document.getElementById('show-audit-log').addEventListener('click', showAuditLog);
+
+    await refreshStatus();
+});
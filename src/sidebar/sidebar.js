@@ -3,171 +3,143 @@
  * 
  * Handles communication between the extension's iframe content, content script,
  * and background script to facilitate DOM manipulation and data exchange.
+ * This page is Chrome's side panel when sidebar.mode is "sidePanel": it loads the app
+ * of the active tab's profile and relays its postMessage commands to that tab's
+ * content script, so apps work the same as in the sidebar injected into the page.
+ * The commands themselves are defined once, in the content script's registry (see
+ * src/utils/protocol.js); this page only checks where messages come from and relays them.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
     chrome.runtime.sendMessage({ action: "openSidebar" });
 
-    // MESSAGE HANDLERS FOR IFRAME REQUESTS
-    
-    // Listen for DOM manipulation requests from the iframe
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'manipulate-dom') {
-        const { selector, action, value } = event.data;
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              type: 'manipulateDom',
-              selector,
-              action,
-              value
-            });
-          }
-        });
+    const iframe = document.getElementById('sidebar-container-nordcraft');
+
+    // Origin of the loaded app; messages from anywhere else are ignored
+    let appOrigin = null;
+
+    // Tab this panel shows (the active tab of its window) and the other tabs the app sent
+    // commands to; events of any other tab are dropped
+    let shownTabId = null;
+    const addressedTabIds = new Set();
+
+    // Post a message to the Nordcraft iframe
+    function postToIframe(message) {
+      if (iframe.contentWindow && appOrigin) {
+        iframe.contentWindow.postMessage(message, appOrigin);
       }
-    });
+    }
 
-    // Listen for web component injection requests from the iframe
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'injectWebComponent') {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              type: 'manipulateDom',
-              action: 'injectWebComponent',
-              selector: event.data.selector,
-              src: event.data.src,
-              name: event.data.name,
-              placement: event.data.placement
-            });
-          }
-        });
+    // Relay the content script's { ok, data } or { ok: false, error } reply for a command
+    // to the iframe, tagged with the tab that ran it
+    function postCommandResult(command, response, tabId) {
+      if (chrome.runtime.lastError || !response) {
+        const error = createCommandError(COMMAND_ERRORS.TAB_NOT_AVAILABLE, `The extension is not active in tab ${tabId}`);
+        postToIframe(createCommandReply(command, tabId, null, error));
+        return;
       }
-    });
+      postToIframe(createCommandReply(command, tabId, response.data, response.ok ? null : response.error));
+    }
 
-    // Listen for tab info requests from the iframe
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'get-tab-info') {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            const tab = tabs[0];
-            const iframe = document.querySelector('iframe');
-            if (iframe) {
-              iframe.contentWindow.postMessage({
-                type: 'tab-info',
-                data: {
-                  url: tab.url,
-                  title: tab.title,
-                  tabId: tab.id
-                }
-              }, '*');
-            }
-          }
-        });
+    // Run a callback with the tab a request targets: its `tabId` (see list-tabs), or the
+    // active tab of this window
+    function withTargetTab(tabId, callback) {
+      if (typeof tabId === 'number') {
+        callback(tabId);
+        return;
       }
-    });
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (tabs[0]) callback(tabs[0].id);
+      });
+    }
 
-    // DOM OBSERVER FUNCTIONALITY
-    
-    // Handle DOM observer requests from the iframe
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'start-dom-observer') {
-        const { selector, attribute, eventType, watchId } = event.data;
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(
-              tabs[0].id,
-              {
-                type: 'manipulateDom',
-                action: 'observeDomValue',
-                selector,
-                attribute,
-                eventType,
-                watchId
-              }
-            );
+    // Load the app of the active tab's profile, as reported by its content script, or
+    // the configured app on pages the extension does not run on. The iframe only
+    // reloads when the app changes.
+    function loadApp() {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        shownTabId = tabs[0].id;
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'getSidebarStatus' }, { frameId: 0 }, async (status) => {
+          if (chrome.runtime.lastError || !status || !status.iframeSrc) {
+            const settings = await loadSettings();
+            status = {
+              iframeSrc: getSettingValue(settings, 'sidebar.iframeSrc'),
+              title: getSettingValue(settings, 'sidebar.title')
+            };
           }
+          if (status.title) document.title = status.title;
+
+          let url;
+          try {
+            url = new URL(status.iframeSrc);
+          } catch (e) {
+            return;
+          }
+          if (iframe.src === url.href) return;
+          // A new app has not addressed any tab yet
+          addressedTabIds.clear();
+          appOrigin = url.origin;
+          iframe.src = url.href;
         });
-      }
-    });
+      });
+    }
 
-    // Relay DOM value changes from content script to iframe
-    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-      if (msg.type === 'domValueChanged' && msg.watchId) {
-        const iframe = document.getElementById('sidebar-container-nordcraft');
-        if (iframe && iframe.contentWindow) {
-          iframe.contentWindow.postMessage({
-            type: 'domValueChanged',
-            selector: msg.selector,
-            attribute: msg.attribute,
-            value: msg.value,
-            watchId: msg.watchId
-          }, '*');
-        }
-      }
+    // Send the active tab's info and the hello handshake data once the app has loaded
+    iframe.addEventListener('load', () => {
+      withTargetTab(undefined, (tabId) => {
+        chrome.tabs.get(tabId, (tab) => {
+          if (chrome.runtime.lastError || !tab) return;
+          postToIframe({ type: 'tab-info', data: { url: tab.url, title: tab.title, tabId: tab.id } });
+        });
+        chrome.tabs.sendMessage(tabId, { action: 'panelCommand', command: { type: 'hello' }, origin: appOrigin }, { frameId: 0 }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.ok) return;
+          postToIframe({ type: 'hello', tabId, data: response.data });
+        });
+      });
     });
+    loadApp();
 
-    // Handle DOM info requests from the iframe
+    // MESSAGE HANDLERS FOR IFRAME REQUESTS
+
+    // Relay every command from the app to the target tab's content script, which
+    // validates and runs it like a command from the injected sidebar
     window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'get-dom-info') {
-        const { selector, attribute, requestId } = event.data;
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(
-              tabs[0].id,
-              {
-                type: 'manipulateDom',
-                action: 'getDomInfo',
-                selector,
-                attribute
-              },
-              (response) => {
-                // Send the result back to the iframe
-                const iframe = document.getElementById('sidebar-container-nordcraft');
-                if (iframe && iframe.contentWindow) {
-                  iframe.contentWindow.postMessage({
-                    type: 'dom-info-result',
-                    selector,
-                    attribute,
-                    value: response ? response.value : null,
-                    requestId
-                  }, '*');
-                }
-              }
-            );
-          }
+      if (!isAppMessage(event, iframe, appOrigin) || typeof event.data.type !== 'string') return;
+
+      const command = event.data;
+      withTargetTab(command.tabId, (tabId) => {
+        addressedTabIds.add(tabId);
+        chrome.tabs.sendMessage(tabId, { action: 'panelCommand', command, origin: event.origin }, { frameId: 0 }, (response) => {
+          if (response && response.ignored) return;
+          postCommandResult(command, response, tabId);
         });
-      }
+      });
     });
 
-  
-    
-    // Listen for URL updates from background script
+    // Relay events of commands (observer changes, macro progress, element picker, URL
+    // changes, ...) and URL updates from the background script to the iframe. Content
+    // scripts and the background script message every side panel, so only events of
+    // the shown tab and of tabs the app sent commands to are relayed.
     chrome.runtime.onMessage.addListener((msg) => {
-      console.log("sidebar.js: received message", msg);
-      if (msg.type === "SIDEBAR_UPDATE_URL") {
-        postToIframe(msg);
+      if (msg.action === 'panelEvent' && msg.event &&
+          (msg.tabId === shownTabId || addressedTabIds.has(msg.tabId))) {
+        postToIframe(msg.event);
       }
-    });
-    
-    // Listen for DOM observation requests from iframe
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'observe-dom-value') {
+      if (msg.type === "SIDEBAR_UPDATE_URL") {
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              type: 'manipulateDom',
-              action: 'observeDomValue',
-              selector: event.data.selector,
-              attribute: event.data.attribute,
-              eventType: event.data.eventType,
-              iframeSelector: event.data.iframeSelector
-            });
-          }
+          if (!tabs[0] || tabs[0].id !== msg.tabId) return;
+          postToIframe(msg);
+          // Another tab or site may use another app profile
+          loadApp();
         });
       }
     });
 
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      addressedTabIds.delete(tabId);
+    });
+
     // Notify background script that sidebar is ready
     chrome.runtime.sendMessage({ type: "SIDEBAR_READY" });
-});
\ No newline at end of file
+});
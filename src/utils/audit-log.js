@@ -0,0 +1,109 @@
+/**
+ * Audit Log
+ * Shared helpers for the log of everything the sidebar app did to pages: DOM writes,
+ * injected components, clicks, input fills, macros and screenshots. Entries are kept in
+ * chrome.storage.local, newest last, and pruned by age and count. The background
+ * script is the only writer (so concurrent tabs do not overwrite each other); the popup
+ * reads and exports the log. Only defines globals.
+ *
+ * Entry shape:
+ *   { id, timestamp, tabId, url, title, profileId, profileName, source, command, action,
+ *     selector, ok, error: { code, message } | null, changes: [{ selector, before, after }],
+ *     details }
+ */
+
+// chrome.storage.local key holding the entries
+const AUDIT_LOG_KEY = 'auditLog';
+
+// Retention used when the settings do not say otherwise
+const DEFAULT_AUDIT_MAX_ENTRIES = 2000;
+const DEFAULT_AUDIT_RETENTION_DAYS = 30;
+
+// Longest before/after value kept per change (characters)
+const AUDIT_VALUE_LIMIT = 1000;
+
+// Columns of the CSV export; changes are flattened to one row each
+const AUDIT_CSV_COLUMNS = [
+    'timestamp', 'tabId', 'url', 'profileId', 'profileName', 'source', 'command', 'action',
+    'selector', 'ok', 'errorCode', 'errorMessage', 'before', 'after', 'details'
+];
+
+// ----------------------------------------------------------------------------------
+// Storage
+// ----------------------------------------------------------------------------------
+
+// Load all entries, oldest first
+async function loadAuditLog() {
+    const result = await chrome.storage.local.get(AUDIT_LOG_KEY);
+    return Array.isArray(result[AUDIT_LOG_KEY]) ? result[AUDIT_LOG_KEY] : [];
+}
+
+// Add entries and drop those beyond the retention ({ maxEntries, retentionDays })
+async function appendAuditEntries(entries, retention = {}) {
+    const maxEntries = retention.maxEntries || DEFAULT_AUDIT_MAX_ENTRIES;
+    const retentionDays = retention.retentionDays || DEFAULT_AUDIT_RETENTION_DAYS;
+    const oldest = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    const log = (await loadAuditLog())
+        .concat(entries)
+        .filter(entry => entry.timestamp >= oldest)
+        .slice(-maxEntries);
+    await chrome.storage.local.set({ [AUDIT_LOG_KEY]: log });
+    return log.length;
+}
+
+// Delete every entry
+async function clearAuditLog() {
+    await chrome.storage.local.remove(AUDIT_LOG_KEY);
+}
+
+// ----------------------------------------------------------------------------------
+// Formatting
+// ----------------------------------------------------------------------------------
+
+// Cut a logged value down to AUDIT_VALUE_LIMIT characters
+function truncateAuditValue(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value);
+    return text.length > AUDIT_VALUE_LIMIT ? text.slice(0, AUDIT_VALUE_LIMIT) + '…' : text;
+}
+
+// Quote a CSV cell when needed. Page text that starts like a formula gets a leading
+// apostrophe, so a spreadsheet opening the export shows it instead of evaluating it
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// CSV text of the entries, one row per change (or per entry without changes)
+function auditLogToCsv(entries) {
+    const rows = [AUDIT_CSV_COLUMNS.join(',')];
+    entries.forEach(entry => {
+        const changes = entry.changes && entry.changes.length > 0 ? entry.changes : [{}];
+        changes.forEach(change => {
+            const row = {
+                timestamp: new Date(entry.timestamp).toISOString(),
+                tabId: entry.tabId,
+                url: entry.url,
+                profileId: entry.profileId,
+                profileName: entry.profileName,
+                source: entry.source,
+                command: entry.command,
+                action: entry.action,
+                selector: change.selector !== undefined ? change.selector : entry.selector,
+                ok: entry.ok,
+                errorCode: entry.error ? entry.error.code : '',
+                errorMessage: entry.error ? entry.error.message : '',
+                before: change.before,
+                after: change.after,
+                details: entry.details
+            };
+            rows.push(AUDIT_CSV_COLUMNS.map(column => toCsvCell(row[column])).join(','));
+        });
+    });
+    return rows.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,246 @@
+/**
+ * App Profiles
+ * Shared helpers for Nordcraft app profiles. A profile is a named sidebar app with its
+ * own iframe URL, title and styling; URL-pattern rules decide which profile loads on
+ * which site. The "default" profile is the app configured in the settings and always
+ * exists. Loaded as a content script and by extension pages, so it only defines globals.
+ * Depends on src/utils/url-patterns.js and src/utils/settings.js.
+ *
+ * Each profile also declares the capabilities (command categories) its app may use;
+ * the user's per-site consent to sensitive ones is kept in chrome.storage.local.
+ *
+ * Stored shape (chrome.storage.sync):
+ *   { profiles: [{ id, name, iframeSrc, title, styling: { primaryColor, ... }, permissions: [...] }],
+ *     rules: [{ pattern, profileId }], defaultProfileId, defaultPermissions: [...] }
+ */
+
+// chrome.storage.sync key holding the profiles and rules
+const PROFILES_STORAGE_KEY = 'appProfiles';
+
+// chrome.storage.local key holding profiles picked with the header switcher, by hostname
+const SITE_PROFILE_CHOICES_KEY = 'siteProfileChoices';
+
+// chrome.storage.local key holding consent decisions for sensitive capabilities:
+// { hostname: { profileId: { capability: 'granted' | 'denied' } } }
+const CAPABILITY_CONSENTS_KEY = 'capabilityConsents';
+
+// Id of the profile built from the settings
+const DEFAULT_PROFILE_ID = 'default';
+
+// Styling settings a profile may override
+const PROFILE_STYLING_KEYS = ['primaryColor', 'primaryColorHover', 'backgroundColor', 'textColor', 'shadowColor'];
+
+// Capabilities a profile can declare, with the wording used in settings and consent prompts
+const PROFILE_CAPABILITIES = {
+    readDom: 'Read the page',
+    writeDom: 'Change the page',
+    injectScripts: 'Load scripts into the page',
+    screenshots: 'Take screenshots',
+    automation: 'Run automations (macros, clicks and typing)'
+};
+
+// Capabilities that need the user's consent once per site before an app can use them
+const SENSITIVE_CAPABILITIES = ['writeDom', 'injectScripts', 'screenshots', 'automation'];
+
+// Capabilities of profiles that do not declare any
+const DEFAULT_PROFILE_PERMISSIONS = ['readDom'];
+
+// ----------------------------------------------------------------------------------
+// Storage
+// ----------------------------------------------------------------------------------
+
+// Load the stored profiles and rules
+async function loadProfiles() {
+    const result = await chrome.storage.sync.get(PROFILES_STORAGE_KEY);
+    const stored = result[PROFILES_STORAGE_KEY] || {};
+    return {
+        profiles: Array.isArray(stored.profiles) ? stored.profiles : [],
+        rules: Array.isArray(stored.rules) ? stored.rules : [],
+        defaultProfileId: stored.defaultProfileId || DEFAULT_PROFILE_ID,
+        defaultPermissions: Array.isArray(stored.defaultPermissions) ? stored.defaultPermissions : null
+    };
+}
+
+// Validate and store profiles and rules.
+// Throws an Error with an `errors` list of { path, message } when they are invalid.
+async function saveProfiles(data) {
+    const errors = validateProfiles(data);
+    if (errors.length > 0) {
+        const error = new Error(errors.map(e => e.message).join('\n'));
+        error.errors = errors;
+        throw error;
+    }
+    const normalized = {
+        profiles: data.profiles || [],
+        rules: data.rules || [],
+        defaultProfileId: data.defaultProfileId || DEFAULT_PROFILE_ID,
+        defaultPermissions: Array.isArray(data.defaultPermissions) ? data.defaultPermissions : null
+    };
+    await chrome.storage.sync.set({ [PROFILES_STORAGE_KEY]: normalized });
+    return normalized;
+}
+
+// Profile picked with the header switcher for a hostname, or null
+async function getSiteProfileChoice(hostname) {
+    const result = await chrome.storage.local.get(SITE_PROFILE_CHOICES_KEY);
+    const choices = result[SITE_PROFILE_CHOICES_KEY] || {};
+    return choices[hostname] || null;
+}
+
+// Remember (or with null, forget) the profile picked for a hostname
+async function setSiteProfileChoice(hostname, profileId) {
+    const result = await chrome.storage.local.get(SITE_PROFILE_CHOICES_KEY);
+    const choices = result[SITE_PROFILE_CHOICES_KEY] || {};
+    if (profileId) {
+        choices[hostname] = profileId;
+    } else {
+        delete choices[hostname];
+    }
+    await chrome.storage.local.set({ [SITE_PROFILE_CHOICES_KEY]: choices });
+}
+
+// Consent decisions of a profile on a hostname
+async function loadCapabilityConsents(hostname, profileId) {
+    const result = await chrome.storage.local.get(CAPABILITY_CONSENTS_KEY);
+    const consents = result[CAPABILITY_CONSENTS_KEY] || {};
+    const site = consents[hostname] || {};
+    return site[profileId] || {};
+}
+
+// Store the user's decision ('granted' or 'denied') for a capability on a hostname
+async function saveCapabilityConsent(hostname, profileId, capability, decision) {
+    const result = await chrome.storage.local.get(CAPABILITY_CONSENTS_KEY);
+    const consents = result[CAPABILITY_CONSENTS_KEY] || {};
+    consents[hostname] = consents[hostname] || {};
+    consents[hostname][profileId] = Object.assign({}, consents[hostname][profileId], { [capability]: decision });
+    await chrome.storage.local.set({ [CAPABILITY_CONSENTS_KEY]: consents });
+}
+
+// Forget all consent decisions on a hostname, so apps ask again
+async function resetCapabilityConsents(hostname) {
+    const result = await chrome.storage.local.get(CAPABILITY_CONSENTS_KEY);
+    const consents = result[CAPABILITY_CONSENTS_KEY] || {};
+    delete consents[hostname];
+    await chrome.storage.local.set({ [CAPABILITY_CONSENTS_KEY]: consents });
+}
+
+// ----------------------------------------------------------------------------------
+// Resolution
+// ----------------------------------------------------------------------------------
+
+// The profile built from the settings. Its capabilities come from the options page,
+// then from `permissions` in config/settings.json.
+function getDefaultProfile(settings, data = {}) {
+    let permissions = data.defaultPermissions;
+    if (!Array.isArray(permissions)) {
+        permissions = Array.isArray(settings.permissions) ? settings.permissions : DEFAULT_PROFILE_PERMISSIONS;
+    }
+    return {
+        id: DEFAULT_PROFILE_ID,
+        name: 'Default',
+        iframeSrc: getSettingValue(settings, 'sidebar.iframeSrc'),
+        title: getSettingValue(settings, 'sidebar.title'),
+        permissions
+    };
+}
+
+// All profiles, the default one first
+function listProfiles(settings, data) {
+    return [getDefaultProfile(settings, data)].concat(data.profiles
+        .filter(profile => profile.id !== DEFAULT_PROFILE_ID)
+        .map(profile => Object.assign({}, profile, {
+            permissions: Array.isArray(profile.permissions) ? profile.permissions : DEFAULT_PROFILE_PERMISSIONS
+        })));
+}
+
+// Pick the profile for a URL: the switcher choice, then the first matching rule,
+// then the configured default profile
+function resolveProfile(settings, data, url, choiceId) {
+    const profiles = listProfiles(settings, data);
+    const byId = (id) => profiles.find(profile => profile.id === id);
+
+    if (choiceId && byId(choiceId)) return byId(choiceId);
+    const rule = data.rules.find(candidate => byId(candidate.profileId) && matchesUrlPattern(url, candidate.pattern));
+    if (rule) return byId(rule.profileId);
+    return byId(data.defaultProfileId) || profiles[0];
+}
+
+// Settings with a profile's app URL, title and styling applied
+function applyProfileToSettings(settings, profile) {
+    if (!profile || profile.id === DEFAULT_PROFILE_ID) return settings;
+
+    const overrides = { sidebar: {}, styling: {} };
+    if (profile.iframeSrc) overrides.sidebar.iframeSrc = profile.iframeSrc;
+    if (profile.title) overrides.sidebar.title = profile.title;
+    PROFILE_STYLING_KEYS.forEach(key => {
+        if (profile.styling && profile.styling[key]) overrides.styling[key] = profile.styling[key];
+    });
+    return mergeSettings(settings, overrides);
+}
+
+// ----------------------------------------------------------------------------------
+// Validation
+// ----------------------------------------------------------------------------------
+
+// Validate a list of capability names (missing lists are allowed)
+function validateCapabilityList(permissions, path, name) {
+    if (permissions === undefined || permissions === null) return [];
+    if (!Array.isArray(permissions)) {
+        return [{ path, message: `${name}: permissions must be a list` }];
+    }
+    return permissions
+        .filter(capability => !PROFILE_CAPABILITIES[capability])
+        .map(capability => ({ path, message: `${name}: unknown permission "${capability}"` }));
+}
+
+// Validate profiles and rules; returns a list of { path, message }
+function validateProfiles(data) {
+    const errors = [];
+    const profiles = Array.isArray(data.profiles) ? data.profiles : [];
+    const rules = Array.isArray(data.rules) ? data.rules : [];
+    const ids = new Set([DEFAULT_PROFILE_ID]);
+
+    profiles.forEach((profile, index) => {
+        const path = `profiles.${index}`;
+        const name = profile.name || `Profile ${index + 1}`;
+        if (!profile.id || typeof profile.id !== 'string') {
+            errors.push({ path, message: `${name} needs an id` });
+        } else if (ids.has(profile.id)) {
+            errors.push({ path, message: `${name} uses the id "${profile.id}" of another profile` });
+        }
+        ids.add(profile.id);
+
+        if (!profile.name || !String(profile.name).trim()) {
+            errors.push({ path: `${path}.name`, message: `Profile ${index + 1} needs a name` });
+        }
+        const urlError = validateSettingValue('sidebar.iframeSrc', profile.iframeSrc);
+        if (urlError) errors.push({ path: `${path}.iframeSrc`, message: `${name}: app URL ${urlError}` });
+        if (profile.title !== undefined && profile.title !== '') {
+            const titleError = validateSettingValue('sidebar.title', profile.title);
+            if (titleError) errors.push({ path: `${path}.title`, message: `${name}: title ${titleError}` });
+        }
+        PROFILE_STYLING_KEYS.forEach(key => {
+            const value = profile.styling ? profile.styling[key] : undefined;
+            if (value === undefined || value === '') return;
+            const colorError = validateSettingValue('styling.' + key, value);
+            if (colorError) errors.push({ path: `${path}.styling.${key}`, message: `${name}: ${key} ${colorError}` });
+        });
+        errors.push(...validateCapabilityList(profile.permissions, `${path}.permissions`, name));
+    });
+    errors.push(...validateCapabilityList(data.defaultPermissions, 'defaultPermissions', 'Default profile'));
+
+    rules.forEach((rule, index) => {
+        const path = `rules.${index}`;
+        if (!isValidUrlPattern(rule.pattern)) {
+            errors.push({ path: `${path}.pattern`, message: `Rule ${index + 1}: invalid URL pattern "${rule.pattern}"` });
+        }
+        if (!ids.has(rule.profileId)) {
+            errors.push({ path: `${path}.profileId`, message: `Rule ${index + 1}: unknown profile "${rule.profileId}"` });
+        }
+    });
+
+    if (data.defaultProfileId && !ids.has(data.defaultProfileId)) {
+        errors.push({ path: 'defaultProfileId', message: `Unknown default profile "${data.defaultProfileId}"` });
+    }
+    return errors;
+}
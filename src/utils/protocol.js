@@ -0,0 +1,209 @@
+/**
+ * Iframe Protocol
+ * Shared definition of the postMessage protocol between the Nordcraft app and the
+ * extension: the protocol version, the command registry with the payload schema of
+ * each command, error codes, the reply shape and the origin check. The content script
+ * registers and runs the commands; the side panel page (src/sidebar/sidebar.js) only
+ * checks and relays them. Loaded as a content script and by extension pages, so it
+ * only defines globals.
+ *
+ * Replies:
+ *   { type: 'command-result', protocolVersion, command, requestId, tabId, ok: true, data }
+ *   { type: 'command-result', protocolVersion, command, requestId, tabId, ok: false,
+ *     error: { code, message, details? } }
+ */
+
+// ----------------------------------------------------------------------------------
+// Version
+// ----------------------------------------------------------------------------------
+
+// Protocol version spoken by this extension, and the oldest one it still answers.
+// Raise PROTOCOL_VERSION when commands or replies change shape.
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+
+// ----------------------------------------------------------------------------------
+// Errors
+// ----------------------------------------------------------------------------------
+
+// Error codes returned to the iframe in command replies
+const COMMAND_ERRORS = {
+    ELEMENT_NOT_FOUND: 'ELEMENT_NOT_FOUND',
+    INVALID_SELECTOR: 'INVALID_SELECTOR',
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+    UNSUPPORTED_PROTOCOL: 'UNSUPPORTED_PROTOCOL',
+    CHANGE_NOT_FOUND: 'CHANGE_NOT_FOUND',
+    RECIPE_NOT_FOUND: 'RECIPE_NOT_FOUND',
+    WATCH_NOT_FOUND: 'WATCH_NOT_FOUND',
+    MACRO_NOT_FOUND: 'MACRO_NOT_FOUND',
+    MAPPING_NOT_FOUND: 'MAPPING_NOT_FOUND',
+    CANCELLED: 'CANCELLED',
+    PERMISSION_DENIED: 'PERMISSION_DENIED',
+    TAB_NOT_AVAILABLE: 'TAB_NOT_AVAILABLE',
+    TIMEOUT: 'TIMEOUT',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Create an error carrying one of the COMMAND_ERRORS codes
+function createCommandError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Convert any thrown value into the error shape sent to the iframe
+function serializeCommandError(error) {
+    const serialized = {
+        code: (error && error.code) || COMMAND_ERRORS.INTERNAL_ERROR,
+        message: (error && error.message) || String(error)
+    };
+    if (error && error.details) {
+        serialized.details = error.details;
+    }
+    return serialized;
+}
+
+// ----------------------------------------------------------------------------------
+// Command Registry
+// ----------------------------------------------------------------------------------
+
+// Registered iframe commands, keyed by message type
+const commandHandlers = {};
+
+// Default timeouts of commands that wait on the user, keyed by message type
+const commandTimeouts = {};
+
+// Capabilities of commands (see PROFILE_CAPABILITIES), keyed by message type
+const commandCapabilities = {};
+
+// Payload schemas of commands (see validateCommandPayload), keyed by message type
+const commandSchemas = {};
+
+// Fields any command may carry
+const COMMON_COMMAND_FIELDS = {
+    requestId: { type: 'id' },
+    timeout: { type: 'number' },
+    tabId: { type: 'integer' },
+    waitFor: { type: 'object' }
+};
+
+// Register a handler for an iframe message type. The handler receives the
+// message data and returns the reply data (or a Promise of it), or throws.
+// options.timeout overrides DEFAULT_COMMAND_TIMEOUT for this command.
+// options.capability is the capability the command needs: a name, a list of names,
+// or a function returning the names a given message needs.
+// options.schema describes the payload fields: { name: { type, required, values } }.
+function registerCommand(type, handler, options = {}) {
+    commandHandlers[type] = handler;
+    if (typeof options.timeout === 'number' && options.timeout > 0) {
+        commandTimeouts[type] = options.timeout;
+    }
+    commandCapabilities[type] = options.capability || 'readDom';
+    commandSchemas[type] = options.schema || {};
+}
+
+// Capabilities a message needs before its command runs
+function getCommandCapabilities(message) {
+    const capability = commandCapabilities[message.type];
+    const capabilities = typeof capability === 'function' ? capability(message) : capability;
+    return [].concat(capabilities || []);
+}
+
+// Names of the registered commands, for the hello handshake
+function listCommands() {
+    return Object.keys(commandHandlers).sort();
+}
+
+// ----------------------------------------------------------------------------------
+// Validation
+// ----------------------------------------------------------------------------------
+
+// Checks and wording of the schema field types
+const PAYLOAD_TYPES = {
+    string: { check: value => typeof value === 'string', description: 'a string' },
+    number: { check: value => typeof value === 'number' && isFinite(value), description: 'a number' },
+    integer: { check: value => Number.isInteger(value), description: 'an integer' },
+    boolean: { check: value => typeof value === 'boolean', description: 'true or false' },
+    object: {
+        check: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+        description: 'an object'
+    },
+    array: { check: value => Array.isArray(value), description: 'an array' },
+    id: { check: value => typeof value === 'string' || typeof value === 'number', description: 'a string or number' },
+    // A CSS selector, or a selector path (see parseSelectorPath in src/content.js)
+    selector: {
+        check: value => typeof value === 'string' ||
+            (Array.isArray(value) && value.every(part => typeof part === 'string')),
+        description: 'a selector string or an array of them'
+    },
+    any: { check: () => true, description: 'any value' }
+};
+
+// Check a message against the common fields and its command's schema. Throws an
+// INVALID_REQUEST error naming the offending field; fields not in the schema are ignored.
+function validateCommandPayload(message) {
+    const schema = Object.assign({}, COMMON_COMMAND_FIELDS, commandSchemas[message.type]);
+    Object.keys(schema).forEach(field => {
+        const rule = schema[field];
+        const value = message[field];
+        let problem = null;
+        if (value === undefined || value === null) {
+            if (rule.required) problem = 'is required';
+        } else if (!PAYLOAD_TYPES[rule.type].check(value)) {
+            problem = 'must be ' + PAYLOAD_TYPES[rule.type].description;
+        } else if (rule.values && !rule.values.includes(value)) {
+            problem = 'must be one of: ' + rule.values.join(', ');
+        }
+        if (problem) {
+            const error = createCommandError(COMMAND_ERRORS.INVALID_REQUEST, `${message.type}: "${field}" ${problem}`);
+            error.details = { field };
+            throw error;
+        }
+    });
+}
+
+// Pick the protocol version to speak with an app that asked for `requested`: the
+// newest both sides know. Throws UNSUPPORTED_PROTOCOL for apps older than
+// MIN_PROTOCOL_VERSION.
+function negotiateProtocolVersion(requested) {
+    if (requested === undefined || requested === null) return PROTOCOL_VERSION;
+    if (!Number.isInteger(requested) || requested < MIN_PROTOCOL_VERSION) {
+        const error = createCommandError(COMMAND_ERRORS.UNSUPPORTED_PROTOCOL,
+            `Protocol version ${requested} is not supported (${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`);
+        error.details = { minProtocolVersion: MIN_PROTOCOL_VERSION, protocolVersion: PROTOCOL_VERSION };
+        throw error;
+    }
+    return Math.min(requested, PROTOCOL_VERSION);
+}
+
+// ----------------------------------------------------------------------------------
+// Messages
+// ----------------------------------------------------------------------------------
+
+// Whether a window message comes from the app: posted by the window of `frame`, from
+// exactly `appOrigin`, with an object payload. Opaque ("null") origins never match.
+function isAppMessage(event, frame, appOrigin) {
+    return Boolean(appOrigin) && appOrigin !== 'null' && event.origin === appOrigin &&
+        Boolean(frame) && Boolean(frame.contentWindow) && event.source === frame.contentWindow &&
+        Boolean(event.data) && typeof event.data === 'object';
+}
+
+// The typed success/error reply to a command, run in tab `tabId`
+function createCommandReply(message, tabId, data, error) {
+    const reply = {
+        type: 'command-result',
+        protocolVersion: PROTOCOL_VERSION,
+        command: message.type,
+        requestId: message.requestId !== undefined ? message.requestId : null,
+        tabId: tabId !== undefined ? tabId : null,
+        ok: !error
+    };
+    if (error) {
+        reply.error = serializeCommandError(error);
+    } else {
+        reply.data = data === undefined ? null : data;
+    }
+    return reply;
+}
@@ -0,0 +1,233 @@
+/**
+ * Settings
+ * Shared helpers for the extension settings. The bundled config/settings.json holds
+ * the defaults; values changed on the options page are stored in chrome.storage.sync
+ * and overlaid on top of them. Loaded as a content script and by extension pages,
+ * so it only defines globals.
+ */
+
+// ----------------------------------------------------------------------------------
+// Schema
+// ----------------------------------------------------------------------------------
+
+// chrome.storage.sync key holding the settings that differ from the bundled defaults
+const SETTINGS_STORAGE_KEY = 'settingsOverrides';
+
+// Section titles, in the order the options page shows them
+const SETTINGS_SECTIONS = {
+    sidebar: 'Sidebar',
+    styling: 'Colors',
+    button: 'Toggle button',
+    behavior: 'Behavior',
+    audit: 'Audit log'
+};
+
+// Editable settings by path, with the rules their values must follow
+const SETTINGS_SCHEMA = {
+    'sidebar.title': { type: 'text', label: 'Title', maxLength: 100 },
+    'sidebar.iframeSrc': { type: 'url', label: 'Nordcraft app URL' },
+    'sidebar.defaultWidth': { type: 'length', label: 'Default width', min: 200, max: 2000 },
+    'sidebar.mobileWidthPercent': { type: 'number', label: 'Mobile width (%)', min: 30, max: 100 },
+    'sidebar.mode': {
+        type: 'choice',
+        label: 'Show the app',
+        choices: { overlay: 'In a sidebar on the page', sidePanel: "In Chrome's side panel" }
+    },
+    'styling.primaryColor': { type: 'color', label: 'Primary color' },
+    'styling.primaryColorHover': { type: 'color', label: 'Primary color (hover)' },
+    'styling.backgroundColor': { type: 'color', label: 'Background color' },
+    'styling.textColor': { type: 'color', label: 'Text color' },
+    'styling.shadowColor': { type: 'color', label: 'Shadow color' },
+    'button.tooltip': { type: 'text', label: 'Tooltip', maxLength: 100 },
+    'button.size.desktop': { type: 'length', label: 'Size (desktop)', min: 24, max: 96 },
+    'button.size.mobile': { type: 'length', label: 'Size (mobile)', min: 24, max: 96 },
+    'button.position.desktop': { type: 'length', label: 'Distance from the right (desktop)', min: 0, max: 200 },
+    'button.position.mobile': { type: 'length', label: 'Distance from the right (mobile)', min: 0, max: 200 },
+    'behavior.autoRestoreTimeMinutes': { type: 'number', label: 'Reopen the sidebar within (minutes)', min: 0, max: 1440 },
+    'behavior.restorePerOrigin': { type: 'boolean', label: 'Reopen the sidebar in new tabs of the same site' },
+    'behavior.enableResize': { type: 'boolean', label: 'Allow resizing the sidebar' },
+    'behavior.enableMobileOptimization': { type: 'boolean', label: 'Adapt to small screens' },
+    'behavior.minWidth': { type: 'number', label: 'Minimum width (px)', min: 150, max: 1200 },
+    'behavior.maxWidthPercent': { type: 'number', label: 'Maximum width (% of the window)', min: 30, max: 100 },
+    'audit.maxEntries': { type: 'number', label: 'Entries to keep', min: 100, max: 50000 },
+    'audit.retentionDays': { type: 'number', label: 'Keep entries for (days)', min: 1, max: 3650 }
+};
+
+// Hex, rgb()/rgba() and hsl()/hsla() colors
+const COLOR_PATTERN = /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|(rgb|hsl)a?\(\s*[\d.]+%?\s*,\s*[\d.]+%?\s*,\s*[\d.]+%?\s*(,\s*[\d.]+%?\s*)?\))$/i;
+
+// Pixel lengths ("400px", or a bare number)
+const LENGTH_PATTERN = /^(\d+(\.\d+)?)(px)?$/;
+
+// ----------------------------------------------------------------------------------
+// Reading & Merging
+// ----------------------------------------------------------------------------------
+
+// Read a value by dotted path, or undefined
+function getSettingValue(settings, path) {
+    return path.split('.').reduce((value, key) => {
+        return value && typeof value === 'object' && key in value ? value[key] : undefined;
+    }, settings);
+}
+
+// Write a value by dotted path, creating intermediate objects
+function setSettingValue(settings, path, value) {
+    const keys = path.split('.');
+    let target = settings;
+    keys.slice(0, -1).forEach(key => {
+        if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+    return settings;
+}
+
+// Deep-merge overrides onto a copy of the base settings
+function mergeSettings(base, overrides) {
+    const merged = JSON.parse(JSON.stringify(base || {}));
+    Object.keys(SETTINGS_SCHEMA).forEach(path => {
+        const value = getSettingValue(overrides, path);
+        if (value !== undefined) setSettingValue(merged, path, value);
+    });
+    return merged;
+}
+
+// Settings that differ from the defaults, in the same nested shape
+function diffSettings(defaults, settings) {
+    const overrides = {};
+    Object.keys(SETTINGS_SCHEMA).forEach(path => {
+        const value = getSettingValue(settings, path);
+        if (value !== undefined && value !== getSettingValue(defaults, path)) {
+            setSettingValue(overrides, path, value);
+        }
+    });
+    return overrides;
+}
+
+// ----------------------------------------------------------------------------------
+// Validation
+// ----------------------------------------------------------------------------------
+
+// Pixel value of a length setting, or NaN
+function parsePixelLength(value) {
+    const match = LENGTH_PATTERN.exec(String(value).trim());
+    return match ? parseFloat(match[1]) : NaN;
+}
+
+// Check a URL setting: http(s) with an origin, https unless it points at this machine
+function validateUrlSetting(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return 'must be an absolute URL';
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return 'must use https';
+    }
+    const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.protocol === 'http:' && !isLocal) {
+        return 'must use https (http is only allowed for localhost)';
+    }
+    return null;
+}
+
+// Check one value against its schema entry; returns an error message or null
+function validateSettingValue(path, value) {
+    const rule = SETTINGS_SCHEMA[path];
+    if (!rule) return 'is not a known setting';
+
+    switch (rule.type) {
+        case 'text':
+            if (typeof value !== 'string' || !value.trim()) return 'must not be empty';
+            if (value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            return null;
+        case 'url':
+            return typeof value === 'string' ? validateUrlSetting(value) : 'must be a URL';
+        case 'color':
+            return typeof value === 'string' && COLOR_PATTERN.test(value.trim())
+                ? null
+                : 'must be a hex, rgb(a) or hsl(a) color';
+        case 'length': {
+            const pixels = parsePixelLength(value);
+            if (isNaN(pixels)) return 'must be a pixel length such as "400px"';
+            if (pixels < rule.min || pixels > rule.max) return `must be between ${rule.min}px and ${rule.max}px`;
+            return null;
+        }
+        case 'number':
+            if (typeof value !== 'number' || isNaN(value)) return 'must be a number';
+            if (value < rule.min || value > rule.max) return `must be between ${rule.min} and ${rule.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'choice':
+            return Object.prototype.hasOwnProperty.call(rule.choices, value)
+                ? null
+                : 'must be one of: ' + Object.keys(rule.choices).join(', ');
+    }
+    return null;
+}
+
+// Validate complete settings; returns a list of { path, message }
+function validateSettings(settings) {
+    const errors = [];
+    Object.keys(SETTINGS_SCHEMA).forEach(path => {
+        const value = getSettingValue(settings, path);
+        if (value === undefined) return;
+        const message = validateSettingValue(path, value);
+        if (message) errors.push({ path, message: `${SETTINGS_SCHEMA[path].label} ${message}` });
+    });
+
+    // The default width must respect the resize limits
+    const defaultWidth = parsePixelLength(getSettingValue(settings, 'sidebar.defaultWidth'));
+    const minWidth = getSettingValue(settings, 'behavior.minWidth');
+    if (!isNaN(defaultWidth) && typeof minWidth === 'number' && defaultWidth < minWidth) {
+        errors.push({ path: 'sidebar.defaultWidth', message: 'Default width must not be smaller than the minimum width' });
+    }
+    return errors;
+}
+
+// ----------------------------------------------------------------------------------
+// Storage
+// ----------------------------------------------------------------------------------
+
+// Load the bundled defaults from config/settings.json
+async function loadBundledSettings() {
+    const response = await fetch(chrome.runtime.getURL('config/settings.json'));
+    return response.json();
+}
+
+// Load the stored overrides ({} when there are none or storage is unavailable)
+async function loadSettingsOverrides() {
+    try {
+        const result = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+        return result[SETTINGS_STORAGE_KEY] || {};
+    } catch (error) {
+        console.error('Failed to load settings overrides:', error);
+        return {};
+    }
+}
+
+// Bundled defaults with the stored overrides applied
+async function loadSettings() {
+    return mergeSettings(await loadBundledSettings(), await loadSettingsOverrides());
+}
+
+// Validate settings and store whatever differs from the defaults.
+// Throws an Error with an `errors` list when the settings are invalid.
+async function saveSettings(settings) {
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+        const error = new Error(errors.map(e => e.message).join('\n'));
+        error.errors = errors;
+        throw error;
+    }
+    const overrides = diffSettings(await loadBundledSettings(), settings);
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: overrides });
+    return overrides;
+}
+
+// Drop all overrides and go back to the bundled defaults
+async function resetSettings() {
+    await chrome.storage.sync.remove(SETTINGS_STORAGE_KEY);
+}
@@ -0,0 +1,61 @@
+/**
+ * Sidebar State
+ * Shared helpers for the sidebar state remembered per tab (and optionally per origin):
+ * whether it was open, its width and the app profile it showed. The background script
+ * stores the states, keyed by the sender's tab, so content scripts (which do not know
+ * their tab id) save and load them through messages. Only defines globals.
+ *
+ * Stored shape (chrome.storage.local):
+ *   sidebarTabStates: { [tabId]: { open, width, profileId, origin, updatedAt } }
+ *   sidebarOriginStates: { [origin]: { open, width, profileId, origin, updatedAt } }
+ */
+
+// chrome.storage.local keys holding the states
+const SIDEBAR_TAB_STATES_KEY = 'sidebarTabStates';
+const SIDEBAR_ORIGIN_STATES_KEY = 'sidebarOriginStates';
+
+// Keys of the old global state, removed on startup
+const LEGACY_SIDEBAR_STATE_KEYS = ['sidebarOpen', 'sidebarUrl', 'lastStateChange'];
+
+// States older than the longest allowed auto-restore time are dropped (24 hours)
+const SIDEBAR_STATE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Whether a state is recent enough to reopen the sidebar (behavior.autoRestoreTimeMinutes)
+function isRecentSidebarState(state, autoRestoreMinutes) {
+    return Boolean(state) && typeof state.updatedAt === 'number' &&
+        state.updatedAt > Date.now() - autoRestoreMinutes * 60 * 1000;
+}
+
+// Load the state of a tab, falling back to the state of its origin when `origin` is given
+async function loadSidebarState(tabId, origin = null) {
+    const result = await chrome.storage.local.get([SIDEBAR_TAB_STATES_KEY, SIDEBAR_ORIGIN_STATES_KEY]);
+    const tabStates = result[SIDEBAR_TAB_STATES_KEY] || {};
+    const originStates = result[SIDEBAR_ORIGIN_STATES_KEY] || {};
+    if (tabStates[tabId]) return tabStates[tabId];
+    return origin && originStates[origin] ? originStates[origin] : null;
+}
+
+// Store the state of a tab and of its origin, dropping expired origin states
+async function saveSidebarTabState(tabId, state) {
+    const result = await chrome.storage.local.get([SIDEBAR_TAB_STATES_KEY, SIDEBAR_ORIGIN_STATES_KEY]);
+    const tabStates = result[SIDEBAR_TAB_STATES_KEY] || {};
+    const originStates = result[SIDEBAR_ORIGIN_STATES_KEY] || {};
+    const stored = Object.assign({}, tabStates[tabId], state, { updatedAt: Date.now() });
+
+    tabStates[tabId] = stored;
+    if (stored.origin) originStates[stored.origin] = stored;
+    Object.keys(originStates).forEach(origin => {
+        if (originStates[origin].updatedAt < Date.now() - SIDEBAR_STATE_MAX_AGE) delete originStates[origin];
+    });
+    await chrome.storage.local.set({ [SIDEBAR_TAB_STATES_KEY]: tabStates, [SIDEBAR_ORIGIN_STATES_KEY]: originStates });
+    return stored;
+}
+
+// Forget the state of a closed tab
+async function removeSidebarTabState(tabId) {
+    const result = await chrome.storage.local.get(SIDEBAR_TAB_STATES_KEY);
+    const tabStates = result[SIDEBAR_TAB_STATES_KEY] || {};
+    if (!(tabId in tabStates)) return;
+    delete tabStates[tabId];
+    await chrome.storage.local.set({ [SIDEBAR_TAB_STATES_KEY]: tabStates });
+}
@@ -0,0 +1,131 @@
+/**
+ * Per-Site Settings
+ * Shared helpers deciding where the extension activates: include/exclude URL patterns,
+ * the activation mode ("always" or "only on click") and the per-site toggle. Everything
+ * is stored in chrome.storage.sync so the choices follow the user across browsers.
+ * Loaded as a content script and by extension pages, so it only defines globals.
+ * Depends on src/utils/url-patterns.js.
+ */
+
+// chrome.storage.sync key holding the hostnames the extension is disabled on
+const DISABLED_SITES_KEY = 'disabledSites';
+
+// chrome.storage.sync key holding the hostnames the extension always activates on
+const ENABLED_SITES_KEY = 'enabledSites';
+
+// chrome.storage.sync key holding { mode, include, exclude }
+const SITE_ACCESS_KEY = 'siteAccess';
+
+// "always": activate on every allowed page; "onClick": only after the user activates
+// the extension from the popup (or on sites switched on with the per-site toggle)
+const SITE_ACCESS_MODES = ['always', 'onClick'];
+
+// ----------------------------------------------------------------------------------
+// Per-Site Toggle
+// ----------------------------------------------------------------------------------
+
+// Load a list of hostnames
+async function getSiteList(key) {
+    const result = await chrome.storage.sync.get(key);
+    return Array.isArray(result[key]) ? result[key] : [];
+}
+
+// Load the list of disabled hostnames
+async function getDisabledSites() {
+    return getSiteList(DISABLED_SITES_KEY);
+}
+
+// Per-site toggle for a hostname: true (switched on), false (switched off) or null (not set)
+async function getSiteToggle(hostname) {
+    if ((await getSiteList(DISABLED_SITES_KEY)).includes(hostname)) return false;
+    if ((await getSiteList(ENABLED_SITES_KEY)).includes(hostname)) return true;
+    return null;
+}
+
+// Check whether the extension is enabled on a hostname
+async function isSiteEnabled(hostname) {
+    return (await getSiteToggle(hostname)) !== false;
+}
+
+// Switch the extension on or off for a hostname
+async function setSiteEnabled(hostname, enabled) {
+    const disabledSites = (await getSiteList(DISABLED_SITES_KEY)).filter(site => site !== hostname);
+    const enabledSites = (await getSiteList(ENABLED_SITES_KEY)).filter(site => site !== hostname);
+    (enabled ? enabledSites : disabledSites).push(hostname);
+    await chrome.storage.sync.set({ [DISABLED_SITES_KEY]: disabledSites, [ENABLED_SITES_KEY]: enabledSites });
+    return { hostname, enabled };
+}
+
+// ----------------------------------------------------------------------------------
+// Site Access Rules
+// ----------------------------------------------------------------------------------
+
+// Load the activation mode and include/exclude patterns
+async function loadSiteAccess() {
+    const result = await chrome.storage.sync.get(SITE_ACCESS_KEY);
+    const stored = result[SITE_ACCESS_KEY] || {};
+    return {
+        mode: SITE_ACCESS_MODES.includes(stored.mode) ? stored.mode : 'always',
+        include: Array.isArray(stored.include) ? stored.include : [],
+        exclude: Array.isArray(stored.exclude) ? stored.exclude : []
+    };
+}
+
+// Validate site access rules; returns a list of { path, message }
+function validateSiteAccess(access) {
+    const errors = [];
+    if (!SITE_ACCESS_MODES.includes(access.mode)) {
+        errors.push({ path: 'siteAccess.mode', message: `Unknown activation mode "${access.mode}"` });
+    }
+    ['include', 'exclude'].forEach(list => {
+        (access[list] || []).forEach(pattern => {
+            if (!isValidUrlPattern(pattern)) {
+                errors.push({ path: `siteAccess.${list}`, message: `Invalid ${list} pattern "${pattern}"` });
+            }
+        });
+    });
+    return errors;
+}
+
+// Validate and store site access rules.
+// Throws an Error with an `errors` list when they are invalid.
+async function saveSiteAccess(access) {
+    const normalized = {
+        mode: access.mode || 'always',
+        include: (access.include || []).map(pattern => pattern.trim()).filter(Boolean),
+        exclude: (access.exclude || []).map(pattern => pattern.trim()).filter(Boolean)
+    };
+    const errors = validateSiteAccess(normalized);
+    if (errors.length > 0) {
+        const error = new Error(errors.map(e => e.message).join('\n'));
+        error.errors = errors;
+        throw error;
+    }
+    await chrome.storage.sync.set({ [SITE_ACCESS_KEY]: normalized });
+    return normalized;
+}
+
+// Decide whether the extension may activate on a URL. Returns { allowed, reason, mode }
+// with reason one of: excluded, disabled, enabled, clicked, not-included, on-click, allowed.
+// The exclude list and a switched-off site always win; `activatedByClick` (the user
+// activated the extension on this tab) overrides the include list and the click mode.
+async function getSiteAccessDecision(url, options = {}) {
+    const access = await loadSiteAccess();
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname;
+    } catch (e) {
+        return { allowed: false, reason: 'excluded', mode: access.mode };
+    }
+
+    const decide = (allowed, reason) => ({ allowed, reason, mode: access.mode });
+    if (matchesAnyUrlPattern(url, access.exclude)) return decide(false, 'excluded');
+
+    const toggle = await getSiteToggle(hostname);
+    if (toggle === false) return decide(false, 'disabled');
+    if (toggle === true) return decide(true, 'enabled');
+    if (options.activatedByClick) return decide(true, 'clicked');
+    if (access.include.length > 0 && !matchesAnyUrlPattern(url, access.include)) return decide(false, 'not-included');
+    if (access.mode === 'onClick') return decide(false, 'on-click');
+    return decide(true, 'allowed');
+}
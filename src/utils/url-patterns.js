@@ -0,0 +1,73 @@
+/**
+ * URL Pattern Matching
+ * Shared helpers for matching page URLs against user-configured patterns.
+ * Loaded as a content script and by extension pages, so it only defines globals.
+ *
+ * Supported patterns:
+ *  - Globs with `*` wildcards. A glob without a `/` matches the hostname only; a
+ *    leading "*." also matches the apex domain; a glob with a path matches
+ *    host + path + query ("example.com/shop/*"); a glob with "://" matches the full URL.
+ *  - Regular expressions written as "/source/flags", tested against the full URL.
+ */
+
+// Escape a string for literal use inside a RegExp
+function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Convert a glob into an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+    const source = glob.split('*').map(escapeRegExp).join('.*');
+    return new RegExp('^' + source + '$', 'i');
+}
+
+// Parse "/source/flags" into a RegExp, or return null for plain globs
+function parseRegExpPattern(pattern) {
+    const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (!match) return null;
+    try {
+        return new RegExp(match[1], match[2]);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Check whether a pattern is syntactically usable
+function isValidUrlPattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) return false;
+    if (/^\/.+\/[a-z]*$/.test(pattern)) return parseRegExpPattern(pattern) !== null;
+    return true;
+}
+
+// Test a URL against a single glob or regex pattern
+function matchesUrlPattern(url, pattern) {
+    if (!isValidUrlPattern(pattern)) return false;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+
+    const regExp = parseRegExpPattern(pattern);
+    if (regExp) return regExp.test(parsed.href);
+
+    if (pattern.includes('://')) {
+        return globToRegExp(pattern).test(parsed.href);
+    }
+
+    // A leading "*." covers the apex domain as well ("*.example.com" matches "example.com")
+    const globs = pattern.startsWith('*.') ? [pattern, pattern.slice(2)] : [pattern];
+
+    if (pattern.includes('/')) {
+        const target = parsed.host + parsed.pathname + parsed.search;
+        return globs.some(glob => globToRegExp(glob).test(target));
+    }
+    return globs.some(glob => globToRegExp(glob).test(parsed.hostname));
+}
+
+// Test a URL against a list of patterns; true if any matches
+function matchesAnyUrlPattern(url, patterns) {
+    return Array.isArray(patterns) && patterns.some(pattern => matchesUrlPattern(url, pattern));
+}